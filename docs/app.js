@@ -2,10 +2,32 @@
 
 import {
     NoteMapper, VoiceLeading, SCALES, SCALE_LIST,
-    KEY_LAYOUTS, QWERTY_ROWS, CODE_TO_KEY,
-    noteName, pitchClassName,
+    KEY_LAYOUTS, QWERTY_ROWS, CODE_TO_KEY, KEY_NAMES, PHYSICAL_LAYOUTS, MAX_MAP_DEGREE,
+    noteName, pitchClassName, spellsWithFlats, resolveScale,
+    layoutId, resolveLayout, detectPhysicalLayout, CHORD_MODES, diatonicChord, foldIntoRange,
 } from './music.js';
-import { AudioEngine, INSTRUMENTS, INSTRUMENT_LIST } from './audio.js';
+import { AudioEngine, INSTRUMENTS, INSTRUMENT_LIST, DRUM_VOICES } from './audio.js';
+import { TextPerformer, SCRIPT_STYLES, TIMING_GRIDS, CHORD_ADVANCE } from './text.js';
+import { MidiIO, NoteOutput, OUTPUT_TARGETS, CC_MODULATION, CC_SUSTAIN, CC_SOSTENUTO } from './midi.js';
+import { Recorder, Player } from './recorder.js';
+import { writeMidiFile, readMidiFile } from './smf.js';
+import { encodeWav } from './wav.js';
+import { Clock } from './clock.js';
+import { PresetStore, ScaleStore, LayoutStore, encodeState, decodeState } from './presets.js';
+import { Keymap, IS_MAC, bindingFromEvent, formatBinding } from './keymap.js';
+import { Strummer, STRUM_DIRECTIONS } from './strum.js';
+import { Arpeggiator, ARP_ORDERS, ARP_RATES } from './arp.js';
+import {
+    SONGBOOK, parseSong, songSteps, chordTargets, chordKeys, formatHint, keyForPitchClass,
+} from './songbook.js';
+import { PlayAlong, GRADES, targetsFromSong, targetsFromMidi, describeHit } from './playalong.js';
+import { Looper } from './looper.js';
+import { readSoundFont } from './sf2.js';
+import { EFFECTS, RackStore, defaultRack, normalizeRack } from './effects.js';
+import { DrumSequencer, DEFAULT_PATTERNS, DRUM_PADS, PAD_KEYS, STEPS } from './drums.js';
+import { PATCH_PARAMS, PatchStore, revertBuiltIn, isEditedBuiltIn } from './patches.js';
+import { VOICE_MODES, STEAL_MODES, MAX_UNISON } from './voices.js';
+import { TouchPad, PAD_MODES } from './pad.js';
 
 // --- Presets ---
 
@@ -17,6 +39,8 @@ const PRESETS = {
         layout: 'melodic',
         voiceLead: true,
         powerChords: false,
+        chords: 'power',
+        strum: 0,
     },
     melodicPiano: {
         name: 'Melodic Piano',
@@ -25,6 +49,8 @@ const PRESETS = {
         layout: 'melodic',
         voiceLead: true,
         powerChords: false,
+        chords: 'power',
+        strum: 0,
     },
     melodicRock: {
         name: 'Melodic Rock',
@@ -33,6 +59,8 @@ const PRESETS = {
         layout: 'melodic',
         voiceLead: true,
         powerChords: true,
+        chords: 'power',
+        strum: 14,
     },
     prettyPiano: {
         name: 'Pretty Piano',
@@ -41,6 +69,8 @@ const PRESETS = {
         layout: 'typewriterLinear',
         voiceLead: false,
         powerChords: false,
+        chords: 'power',
+        strum: 0,
     },
     rockGuitar: {
         name: 'Rock Guitar',
@@ -49,6 +79,8 @@ const PRESETS = {
         layout: 'typewriterLinear',
         voiceLead: false,
         powerChords: true,
+        chords: 'power',
+        strum: 14,
     },
     electricPiano: {
         name: 'Electric Piano',
@@ -57,6 +89,8 @@ const PRESETS = {
         layout: 'melodic',
         voiceLead: true,
         powerChords: false,
+        chords: 'power',
+        strum: 0,
     },
     synthPad: {
         name: 'Synth Pad',
@@ -65,31 +99,169 @@ const PRESETS = {
         layout: 'melodic',
         voiceLead: true,
         powerChords: false,
+        chords: 'power',
+        strum: 0,
     },
 };
 
 const PRESET_LIST = Object.keys(PRESETS);
 
+// Keys-mode play styles; chug styles retrigger held keys on the beat grid,
+// the arpeggio plays them one at a time at the arpeggiator's rate.
+const PLAY_STYLES = {
+    hold:    { name: 'Hold',       division: 0 },
+    chug8:   { name: 'Chug 8ths',  division: 2 },
+    chug16:  { name: 'Chug 16ths', division: 4 },
+    arp:     { name: 'Arpeggio',   division: 0 },
+};
+
+// Clicks per bar, and clicks per quarter-note beat (2 for x/8 meters).
+const TIME_SIGNATURES = {
+    '2/4':  { name: '2/4',  beats: 2,  division: 1 },
+    '3/4':  { name: '3/4',  beats: 3,  division: 1 },
+    '4/4':  { name: '4/4',  beats: 4,  division: 1 },
+    '5/4':  { name: '5/4',  beats: 5,  division: 1 },
+    '6/8':  { name: '6/8',  beats: 6,  division: 2 },
+    '7/8':  { name: '7/8',  beats: 7,  division: 2 },
+    '12/8': { name: '12/8', beats: 12, division: 2 },
+};
+
+const COUNT_IN_BARS = [[0, 'Off'], [1, '1 bar'], [2, '2 bars']];
+
+const PEDAL_MODES = {
+    sustain:   { name: 'Sustain' },
+    sostenuto: { name: 'Sostenuto' },
+    latch:     { name: 'Latch' },
+};
+
+// --- Keyboard commands ---
+// Defaults match the native app; users can remap them (Shortcuts panel).
+// `run(app, down)` gets the key-up too only for `hold` commands.
+
+const COMMANDS = {
+    arm:         { name: 'Play / pause', keys: ['Enter', 'Meta+Enter', 'Ctrl+Alt+Meta+KeyM'], run: app => app.toggleArmed() },
+    panic:       { name: 'Panic (all notes off)', keys: ['Escape'], run: app => app.panic() },
+    octaveDown:  { name: 'Octave down', keys: ['BracketLeft'], run: app => app._shiftOctave(-1) },
+    octaveUp:    { name: 'Octave up', keys: ['BracketRight'], run: app => app._shiftOctave(1) },
+    pedal:       { name: 'Pedal (hold)', keys: ['Space'], hold: true, run: (app, down) => app._pedal(down) },
+    powerChords: { name: 'Chords on / off', keys: ['Tab'], run: app => app.togglePowerChords() },
+    scaleLock:   { name: 'Scale Lock / All Notes', keys: ['Backslash'], run: app => app.toggleMapping() },
+    tapTempo:    { name: 'Tap tempo', keys: ['Backquote'], run: app => app.tapTempo() },
+};
+
+// Cmd+1..5 pick the first five scales, as in the native app. Elsewhere
+// Win+digit belongs to the OS and Ctrl+key plays a chord: Ctrl+Alt+1..5.
+for (let i = 0; i < 5; i++) {
+    const id = SCALE_LIST[i];
+    COMMANDS[`scale${i + 1}`] = {
+        name: `Scale: ${SCALES[id].name}`,
+        keys: [`${IS_MAC ? 'Meta' : 'Ctrl+Alt'}+Digit${i + 1}`],
+        run: app => app.pickScale(id),
+    };
+}
+
+const MAPPING_MODES = {
+    musical:   { name: 'Scale Lock' },
+    chromatic: { name: 'All Notes' },
+};
+
 // --- App ---
 
 class App {
     constructor() {
         this.audio = new AudioEngine();
+        this.midi = new MidiIO();
+        this.output = new NoteOutput(this.audio, this.midi);
         this.mapper = new NoteMapper();
+        this.text = new TextPerformer(this.output, this.mapper);
+        this.recorder = new Recorder();
+        this.player = new Player(this.output);
+        this.patches = new PatchStore();     // before presets: they may play saved patches
+        this.presets = new PresetStore();
+        this.scales = new ScaleStore();
+        this.layouts = new LayoutStore();
+        this.racks = new RackStore();
+        this.keymap = new Keymap(COMMANDS);
+        this.strummer = new Strummer();
+        this._strumEnds = new Map();    // key → when its last strummed string starts
+        this._capturing = null;         // command being rebound, if any
+        this.output.taps.add(this.recorder);
+        this.clock = new Clock(() => {
+            this.audio.init();
+            return this.audio.ctx;
+        });
+        this.looper = new Looper(this.clock, instrument => this.audio.createPart(instrument));
+        this.output.taps.add(this.looper);
+        this.drums = new DrumSequencer(this.clock, (pad, vel, time) => this.audio.drum(pad, vel, time));
+        this.drumPads = false;          // number row plays drum pads instead of notes
+        this.touchPad = new TouchPad(this.mapper, this.output);
+        this._padColumns = '';          // what the touch pad's columns were drawn for
+        this._sfFileName = '';          // .sf2 the engine is playing, if any
 
+        this.mode = 'keys';             // 'keys' | 'text'
+        this.scaleId = 'minorPentatonic'; // key of SCALES or a user `steps:` id
+        this.layoutId = 'typewriterLinear'; // key of KEY_LAYOUTS or a key map id
+        this._detectedKeyboard = null;  // what the browser says the keyboard is
         this.armed = false;
         this.voiceLead = false;
-        this.powerChords = false;
+        this.powerChords = false;       // every key plays a chord (not just Ctrl+key)
+        this.chordMode = 'power';       // key of CHORD_MODES
         this.lastVLNote = null;
+        this.lastChord = null;          // previous diatonic voicing, for voice-leading
         this.octaveOffset = 0;
+        this.lastAction = '';
 
-        this.held = new Set();          // key chars currently down
+        this.style = 'hold';            // key of PLAY_STYLES
+        this._chugKeys = new Map();     // key → { vel, pressTime } while chugging
+        this._unsubStyle = null;        // clock subscription of chug / arpeggio
+
+        this.arp = new Arpeggiator();
+        this.arpLatch = false;          // keep arpeggiating released keys
+        this._arpPool = new Map();      // key → { notes, vel } being arpeggiated
+
+        // Metronome, count-in and tap tempo all run off this.clock.
+        this.metronome = false;
+        this.timeSignature = '4/4';     // key of TIME_SIGNATURES
+        this.countInBars = 1;
+        this.countingIn = null;         // 'rec' | 'text' | 'play' while counting in
+        this._unsubClick = null;
+        this._unsubCountIn = null;
+        this._countInTimer = null;
+        this._taps = [];                // performance.now() of recent taps
+
+        // Space is the pedal: sustain, sostenuto, or latch (keys toggle).
+        this.pedalMode = 'sustain';     // key of PEDAL_MODES
+        this.sustainDown = false;
+        this.sostenutoDown = false;
+        this.sustainedKeys = new Map();  // released key → Set<midi> a pedal holds
+        this._sostenutoKeys = new Set(); // keys caught by the sostenuto pedal
+
+        // Practice Songbook: the loaded song and the next chord to play.
+        this.practice = null;           // { song, steps, pos, sub } or null
+
+        // Play Along: the run being scored (kept afterwards for its results).
+        this.playAlong = null;          // PlayAlong
+        this._playAlongMidi = null;     // { title, targets } from a .mid file
+        this._playAlongTitle = '';
+        this._playAlongStart = null;    // clock beat of target beat 0 while running
+        this._playAlongKeys = [];       // key to press per target
+        this._playAlongEls = [];        // lane element per target
+        this._playAlongNext = -1;
+        this._unsubPlayAlong = null;
+        this._playAlongRaf = null;
+
+        this.held = new Set();          // key chars (or `midi:<n>`) currently down
         this.heldNotes = new Map();     // key → Set<midi>
         this.activeNotes = new Set();   // all midi notes sounding (for viz)
 
         this._setupUI();
         this._setupKeyboard();
-        this._applyPreset('grandPiano');
+
+        // A shared link overrides the default preset. It is read before
+        // applying anything, which rewrites the hash.
+        const shared = decodeState(location.hash);
+        this._applyPreset(this._findPreset(shared.preset) ? shared.preset : 'grandPiano', shared);
+        window.addEventListener('hashchange', () => this._applyState(decodeState(location.hash)));
     }
 
     // --- Keyboard handling ---
@@ -97,265 +269,2557 @@ class App {
     _setupKeyboard() {
         document.addEventListener('keydown', e => this._onKeyDown(e));
         document.addEventListener('keyup', e => this._onKeyUp(e));
+        this._setupTouchKeys();
     }
 
-    _onKeyDown(e) {
-        if (e.repeat) return;
+    // The on-screen keys as a multitouch instrument: every pointer plays
+    // the key under it through the same pipeline as typing, and sliding
+    // across the keys plays each one in turn (glissando).
+    _setupTouchKeys() {
+        const $k = this._$keyboard;
+        const touches = new Map();      // pointer id → key it holds (null between keys)
+        const keyAt = e => document.elementFromPoint(e.clientX, e.clientY)?.closest('.key-cap')?.dataset.key ?? null;
+        const enter = (e, key) => {
+            const used = key !== null && this._keyDown(key, this._touchVelocity(e, key), this._modifiers(e));
+            touches.set(e.pointerId, used ? key : null);
+        };
+        const leave = id => {
+            const key = touches.get(id);
+            if (key) this._keyUp(key);
+        };
 
-        // Always handle these regardless of arm state
-        if (e.code === 'Enter') {
+        $k.addEventListener('pointerdown', e => {
+            const key = keyAt(e);
+            if (key === null) return;
             e.preventDefault();
-            this.toggleArmed();
-            return;
+            // Touching a key is as good as pressing Play.
+            if (!this.armed) this.toggleArmed();
+            if (this.mode !== 'keys') return;
+            $k.setPointerCapture(e.pointerId);
+            enter(e, key);
+        });
+        $k.addEventListener('pointermove', e => {
+            if (!touches.has(e.pointerId)) return;
+            const key = keyAt(e);
+            if (key === touches.get(e.pointerId)) return;
+            leave(e.pointerId);
+            enter(e, key);
+        });
+        for (const type of ['pointerup', 'pointercancel']) {
+            $k.addEventListener(type, e => {
+                if (!touches.has(e.pointerId)) return;
+                leave(e.pointerId);
+                touches.delete(e.pointerId);
+            });
         }
-        if (e.code === 'Escape') {
+    }
+
+    // Velocity of a touched key: pen or finger pressure where the device
+    // reports it, else how far down the key it landed (lower is louder).
+    _touchVelocity(e, key) {
+        let amount = e.pointerType !== 'mouse' && e.pressure > 0 && e.pressure !== 0.5 ? e.pressure : null;
+        if (amount === null) {
+            const r = this._keyCaps[key].el.getBoundingClientRect();
+            amount = (e.clientY - r.top) / r.height;
+        }
+        return Math.round(40 + Math.max(0, Math.min(1, amount)) * 87);
+    }
+
+    _onKeyDown(e) {
+        if (e.repeat) return;
+
+        // Rebinding a shortcut: the next key combination is the new binding.
+        if (this._capturing) {
+            const binding = bindingFromEvent(e);
+            if (!binding) return;
             e.preventDefault();
-            this.panic();
+            this._rebind(this._capturing, binding);
             return;
         }
-        if (e.code === 'BracketLeft') {
-            e.preventDefault();
-            this._shiftOctave(-1);
+
+        const command = this.keymap.lookup(e);
+
+        // Typing into the script or other fields: only panic is ours.
+        if (this._isTextField(e.target)) {
+            if (command === 'panic') {
+                e.preventDefault();
+                this.panic();
+            }
             return;
         }
-        if (e.code === 'BracketRight') {
+
+        // Commands work whether or not the keyboard is armed.
+        if (command) {
             e.preventDefault();
-            this._shiftOctave(1);
+            COMMANDS[command].run(this, true);
             return;
         }
 
-        if (!this.armed) return;
+        if (!this.armed || this.mode !== 'keys') return;
 
         // Resolve physical key → character
         const key = CODE_TO_KEY[e.code];
         if (!key) return;
-        if (this.held.has(key)) return;
+
+        // Velocity from typing cadence
+        if (this._keyDown(key, this._velocity(), this._modifiers(e))) e.preventDefault();
+    }
+
+    // Shift, Alt and Ctrl/Cmd as note modifiers (see _press).
+    _modifiers(e) {
+        return { octaveUp: e.shiftKey, bass: e.altKey, chord: e.ctrlKey || e.metaKey };
+    }
+
+    // A key of the layout going down, typed or touched: drum pad, latch
+    // toggle or note. Returns whether it was used.
+    _keyDown(key, vel, mods) {
+        const pad = this.drumPads ? PAD_KEYS[key] : undefined;
+        if (pad) {
+            this._hitPad(key, pad, vel);
+            return true;
+        }
+
+        if (this.held.has(key)) {
+            // Latch: a second press lets go of the drone.
+            if (this.pedalMode !== 'latch') return false;
+            this._release(key);
+            return true;
+        }
 
         const rawNote = this.mapper.midiNote(key);
-        if (rawNote === null) return;
+        if (rawNote === null) return false;
+        this._press(key, rawNote, vel, mods);
+        return true;
+    }
 
-        e.preventDefault();
+    // A key coming up; latched keys stay on.
+    _keyUp(key) {
+        if (this.pedalMode === 'latch' || !this.held.has(key)) return;
+        this._release(key);
+    }
 
-        // Voice-leading
+    // Shared note-on pipeline for every input (QWERTY, MIDI keyboard):
+    // voice-leading → octave modifiers → chord → output.
+    _press(id, rawNote, vel, mods = {}) {
         let note = this.voiceLead
             ? VoiceLeading.smooth(rawNote, this.lastVLNote)
             : rawNote;
 
         // Modifiers
-        if (e.shiftKey && note <= 115) note += 12;
-        if (e.altKey   && note >= 12)  note -= 12;
-
-        // Build chord
-        const notes = new Set([note]);
-        if (this.powerChords || e.ctrlKey || e.metaKey) {
-            if (note <= 120) notes.add(note + 7);  // fifth
-            if (note <= 115) notes.add(note + 12);  // octave
-        }
+        if (mods.octaveUp && note <= 115) note += 12;
+        if (mods.bass     && note >= 12)  note -= 12;
 
-        // Velocity from typing cadence
-        const vel = this._velocity();
+        const notes = this.powerChords || mods.chord ? this._chordFor(note) : new Set([note]);
 
-        this.held.add(key);
-        this.heldNotes.set(key, notes);
-        for (const n of notes) {
-            this.audio.noteOn(n, vel);
-            this.activeNotes.add(n);
+        this.sustainedKeys.delete(id);
+        this.held.add(id);
+        this.heldNotes.set(id, notes);
+        for (const n of notes) this.activeNotes.add(n);
+        if (this.style === 'hold') {
+            this._strumEnds.set(id, this._strike(notes, vel));
+        } else if (this.style === 'arp') {
+            // Latched: the first key of a fresh chord replaces the old one.
+            if (this.arpLatch && this.held.size === 1) this._arpPool.clear();
+            this._arpPool.set(id, { notes, vel });
+        } else {
+            // Chug: hit right away, then the clock retriggers on the grid.
+            const now = this.clock.now;
+            const chugVel = Math.max(64, vel);
+            this._chugKeys.set(id, { vel: chugVel, pressTime: now });
+            this._chugHit(notes, chugVel, now, this.clock.secondsPerBeat / PLAY_STYLES[this.style].division);
         }
         this.lastVLNote = note;
+        this._practiceHit(rawNote);
+        this._playAlongHit(note);
         this._renderKeyboard();
+        if (this.pedalMode === 'latch') this._renderStatus();
     }
 
-    _onKeyUp(e) {
-        const key = CODE_TO_KEY[e.code];
-        if (!key || !this.held.has(key)) return;
-
-        const notes = this.heldNotes.get(key);
+    _release(id) {
+        const notes = this.heldNotes.get(id);
+        if (notes && (this.sustainDown || this._sostenutoKeys.has(id))) {
+            this.sustainedKeys.set(id, notes);
+        }
         if (notes) {
+            // Chugged and arpeggiated hits carry their own scheduled
+            // note-offs. A strum released early still lets its last string start.
+            const scheduled = this._chugKeys.delete(id) || this._arpPool.has(id);
+            if (!this.arpLatch) this._arpPool.delete(id);
+            const lastString = this._strumEnds.get(id);
+            const when = lastString > this.clock.now ? lastString + 0.03 : undefined;
             for (const n of notes) {
-                this.audio.noteOff(n);
+                if (!scheduled) this.output.noteOff(n, when);
                 this.activeNotes.delete(n);
             }
+            this._strumEnds.delete(id);
         }
-        this.held.delete(key);
-        this.heldNotes.delete(key);
+        this.held.delete(id);
+        this.heldNotes.delete(id);
         this._renderKeyboard();
+        if (this.pedalMode === 'latch') this._renderStatus();
     }
 
-    _lastTs = performance.now();
-
-    _velocity() {
-        const now = performance.now();
-        const delta = now - this._lastTs;
-        this._lastTs = now;
-        // Fast typing → louder, slow → softer, centred around 85
-        const speed = Math.max(0, Math.min(1, 1 - delta / 400));
-        return Math.round(65 + speed * 50);
+    // In-key chord on the note's scale degree, voice-led from the last
+    // one; power chords (and notes outside the scale) get root + 5th + 8ve.
+    _chordFor(note) {
+        const mode = CHORD_MODES[this.chordMode];
+        if (mode.degrees && this.mapper.mode === 'musical') {
+            const close = diatonicChord(note, this.mapper.scale, this.mapper.rootPitchClass, mode.degrees);
+            if (close) {
+                const voiced = VoiceLeading.chord(close, this.lastChord, { voicing: mode.voicing, anchor: note });
+                this.lastChord = foldIntoRange(voiced).sort((a, b) => a - b);
+                return new Set(this.lastChord);
+            }
+        }
+        const notes = new Set([note]);
+        if (note <= 120) notes.add(note + 7);   // fifth
+        if (note <= 115) notes.add(note + 12);  // octave
+        return notes;
     }
 
-    // --- State ---
+    // --- Commands ---
 
-    toggleArmed() {
-        this.armed = !this.armed;
-        if (!this.armed) this.panic();
-        this.audio.init();
-        this.audio.resume();
-        this._renderStatus();
-        this._renderKeyboard();
+    togglePowerChords() {
+        this.lastAction = `${CHORD_MODES[this.chordMode].name} chords ${this.powerChords ? 'off' : 'on'}`;
+        this._applyState({ powerChords: !this.powerChords });
     }
 
-    panic() {
-        this.audio.panic();
-        this.held.clear();
-        this.heldNotes.clear();
-        this.activeNotes.clear();
-        this.lastVLNote = null;
-        this._renderKeyboard();
+    toggleMapping() {
+        const mapping = this.mapper.mode === 'musical' ? 'chromatic' : 'musical';
+        this.lastAction = `${MAPPING_MODES[mapping].name} on`;
+        this._applyState({ mapping });
     }
 
-    _shiftOctave(dir) {
-        this.octaveOffset = Math.max(-3, Math.min(3, this.octaveOffset + dir));
-        this.mapper.octaveOffset = this.octaveOffset;
+    pickScale(id) {
+        this.lastAction = `Scale: ${SCALES[id].name}`;
+        this._applyState({ scale: id });
+    }
+
+    // --- Chug ---
+
+    _setStyle(style) {
+        for (const id of [...this.held]) this._release(id);
+        this._unsubStyle?.();
+        this._unsubStyle = null;
+        this._arpPool.clear();
+        this.arp.reset();
+        this.style = style;
+        this._$style.value = style;
+        const division = style === 'arp' ? ARP_RATES[this.arp.rate].division : PLAY_STYLES[style].division;
+        if (division) {
+            this._unsubStyle = this.clock.every(division, (step, time, stepSeconds) => {
+                if (style === 'arp') this._arpStep(time, stepSeconds);
+                else this._chugStep(time, stepSeconds);
+            });
+        }
         this._renderStatus();
-        this._renderKeyboard();
     }
 
-    // --- Preset / control changes ---
+    // One grid step: retrigger every held key (skipping a key whose own
+    // first hit is less than half a step old).
+    _chugStep(time, stepSeconds) {
+        for (const [id, { vel, pressTime }] of this._chugKeys) {
+            if (time - pressTime < stepSeconds * 0.5) continue;
+            const notes = this.heldNotes.get(id);
+            if (notes) this._chugHit(notes, vel, time, stepSeconds);
+        }
+    }
 
-    _applyPreset(id) {
-        const p = PRESETS[id];
-        if (!p) return;
+    _chugHit(notes, vel, time, stepSeconds) {
+        const dur = Math.max(0.04, Math.min(0.22, stepSeconds * 0.55));
+        this._strike(notes, vel, time, dur);
+    }
 
-        this.audio.setInstrument(p.instrument);
-        this.mapper.scale = SCALES[p.scale];
-        this.mapper.setLayout(KEY_LAYOUTS[p.layout]);
-        this.voiceLead = p.voiceLead;
-        this.powerChords = p.powerChords;
-        this.lastVLNote = null;
+    // --- Arpeggiator ---
 
-        // Sync controls
-        this._$preset.value = id;
-        this._$instrument.value = p.instrument;
-        this._$scale.value = p.scale;
-        this._$layout.value = p.layout;
-        this._$voiceLead.checked = p.voiceLead;
-        this._$powerChords.checked = p.powerChords;
+    // One step: the next note of everything held (or latched), sounding
+    // for `gate` of the step at its own key's velocity.
+    _arpStep(time, stepSeconds) {
+        const velocities = new Map();
+        for (const { notes, vel } of this._arpPool.values()) {
+            for (const n of notes) velocities.set(n, vel);
+        }
+        const note = this.arp.next([...velocities.keys()]);
+        if (note === null) return;
+        // Octave copies take the velocity of the key they came from.
+        let vel = 90;
+        for (let n = note; n >= 0; n -= 12) {
+            if (velocities.has(n)) {
+                vel = velocities.get(n);
+                break;
+            }
+        }
+        this.output.noteOn(note, vel, time);
+        this.output.noteOff(note, time + stepSeconds * Math.min(0.95, this.arp.gate));
+    }
 
+    _setArpLatch(on) {
+        this.arpLatch = on;
+        this._$arpLatch.checked = on;
+        if (!on) {
+            for (const id of [...this._arpPool.keys()]) {
+                if (!this.held.has(id)) this._arpPool.delete(id);
+            }
+        }
         this._renderStatus();
-        this._renderKeyboard();
     }
 
-    // --- UI setup ---
+    _setupArpPanel() {
+        this._$arpOrder = document.getElementById('arp-order');
+        this._$arpOctaves = document.getElementById('arp-octaves');
+        this._$arpRate = document.getElementById('arp-rate');
+        this._$arpGate = document.getElementById('arp-gate');
+        this._$arpLatch = document.getElementById('arp-latch');
 
-    _setupUI() {
-        this._$status = document.getElementById('status');
-        this._$armBtn = document.getElementById('arm-btn');
-        this._$preset = document.getElementById('preset');
-        this._$instrument = document.getElementById('instrument');
-        this._$scale = document.getElementById('scale');
-        this._$layout = document.getElementById('layout');
-        this._$voiceLead = document.getElementById('voice-lead');
-        this._$powerChords = document.getElementById('power-chords');
-        this._$keyboard = document.getElementById('keyboard');
+        this._populateSelect(this._$arpOrder, Object.keys(ARP_ORDERS).map(k => [k, ARP_ORDERS[k].name]));
+        this._populateSelect(this._$arpOctaves, [1, 2, 3, 4].map(n => [n, n === 1 ? '1 octave' : `${n} octaves`]));
+        this._populateSelect(this._$arpRate, Object.keys(ARP_RATES).map(k => [k, ARP_RATES[k].name]));
+        this._$arpOrder.value = this.arp.order;
+        this._$arpOctaves.value = this.arp.octaves;
+        this._$arpRate.value = this.arp.rate;
+        this._$arpGate.value = Math.round(this.arp.gate * 100);
 
-        // Populate selects
-        this._populateSelect(this._$preset, PRESET_LIST.map(k => [k, PRESETS[k].name]));
-        this._populateSelect(this._$instrument, INSTRUMENT_LIST.map(k => [k, INSTRUMENTS[k].name]));
-        this._populateSelect(this._$scale, SCALE_LIST.map(k => [k, SCALES[k].name]));
-        this._populateSelect(this._$layout, Object.keys(KEY_LAYOUTS).map(k => [k, KEY_LAYOUTS[k].name]));
+        this._$arpOrder.addEventListener('change', () => {
+            this.arp.order = this._$arpOrder.value;
+            this.arp.reset();
+        });
+        this._$arpOctaves.addEventListener('change', () => { this.arp.octaves = Number(this._$arpOctaves.value); });
+        this._$arpRate.addEventListener('change', () => {
+            this.arp.rate = this._$arpRate.value;
+            if (this.style === 'arp') this._setStyle('arp');
+        });
+        this._$arpGate.addEventListener('input', () => { this.arp.gate = Number(this._$arpGate.value) / 100; });
+        this._$arpLatch.addEventListener('change', () => this._setArpLatch(this._$arpLatch.checked));
+    }
 
-        // Listeners
-        this._$armBtn.addEventListener('click', () => this.toggleArmed());
-        this._$preset.addEventListener('change', () => this._applyPreset(this._$preset.value));
-        this._$instrument.addEventListener('change', () => {
-            this.audio.setInstrument(this._$instrument.value);
+    // --- Practice Songbook ---
+
+    _setupPracticePanel() {
+        this._$practiceSong = document.getElementById('practice-song');
+        this._$practiceChart = document.getElementById('practice-chart');
+        this._$practiceLoad = document.getElementById('practice-load');
+        this._$practiceRestart = document.getElementById('practice-restart');
+        this._$practiceClear = document.getElementById('practice-clear');
+        this._$practiceStatus = document.getElementById('practice-status');
+        this._$practiceSheet = document.getElementById('practice-sheet');
+
+        this._populateSelect(this._$practiceSong, [
+            ['', '(none)'],
+            ...Object.keys(SONGBOOK).map(k => [k, SONGBOOK[k].title]),
+        ]);
+        this._$practiceSong.addEventListener('change', () => {
+            const id = this._$practiceSong.value;
+            if (!id) {
+                this._setPractice(null);
+                return;
+            }
+            const { title, preset, text } = SONGBOOK[id];
+            this._$practiceChart.value = text.trim();
+            if (preset) this._applyPreset(preset);
+            this._setPractice(parseSong(text, title, preset));
         });
-        this._$scale.addEventListener('change', () => {
-            this.mapper.scale = SCALES[this._$scale.value];
-            this.lastVLNote = null;
-            this._renderKeyboard();
+        this._$practiceLoad.addEventListener('click', () => {
+            this._$practiceSong.value = '';
+            this._setPractice(parseSong(this._$practiceChart.value));
         });
-        this._$layout.addEventListener('change', () => {
-            this.mapper.setLayout(KEY_LAYOUTS[this._$layout.value]);
-            this.lastVLNote = null;
-            this._renderKeyboard();
+        this._$practiceRestart.addEventListener('click', () => {
+            if (this.practice) this._setPractice(this.practice.song);
         });
-        this._$voiceLead.addEventListener('change', () => {
-            this.voiceLead = this._$voiceLead.checked;
-            this.lastVLNote = null;
+        this._$practiceClear.addEventListener('click', () => {
+            this._$practiceSong.value = '';
+            this._setPractice(null);
         });
-        this._$powerChords.addEventListener('change', () => {
-            this.powerChords = this._$powerChords.checked;
+
+        this._renderPractice();
+    }
+
+    // Load a parsed song (null clears) and start at its first chord.
+    _setPractice(song) {
+        const steps = song ? songSteps(song) : [];
+        if (song && !steps.length) {
+            this.practice = null;
+            this.lastAction = 'Practice: no chords found';
+        } else if (song) {
+            this.practice = { song, steps, pos: 0, sub: 0 };
+            this._playAlongMidi = null;     // Play Along follows the newest pick
+            const preset = this._findPreset(song.preset);
+            this.lastAction = `Practice: ${song.title}${preset ? `. Preset: ${preset.name}` : ''}`;
+        } else {
+            this.practice = null;
+            this.lastAction = 'Practice: cleared';
+        }
+        this._renderPractice();
+        this._renderKeyboard();
+        this._renderStatus();
+    }
+
+    // Pitch class and key of what to play next, or null.
+    _practiceTarget() {
+        const p = this.practice;
+        if (!p) return null;
+        const { chord } = p.steps[p.pos];
+        return { pc: chordTargets(chord)[p.sub], key: chordKeys(this.mapper, chord)[p.sub] };
+    }
+
+    // Any octave of the expected note counts; the bass of a slash chord
+    // comes first, then its root. The song loops at the end.
+    _practiceHit(rawNote) {
+        const target = this._practiceTarget();
+        if (!target || rawNote % 12 !== target.pc) return;
+        const p = this.practice;
+        if (++p.sub < chordTargets(p.steps[p.pos].chord).length) return;
+        p.sub = 0;
+        p.pos = (p.pos + 1) % p.steps.length;
+        if (p.pos === 0) this.lastAction = 'Practice: from the top';
+        this._renderPractice();
+        this._renderStatus();
+    }
+
+    // The sheet: per section, each chord line with its key hints (the
+    // next chord marked) over its lyrics.
+    _renderPractice() {
+        const p = this.practice;
+        const $sheet = this._$practiceSheet;
+        $sheet.innerHTML = '';
+        this._$practiceRestart.disabled = !p;
+        this._$practiceClear.disabled = !p;
+        if (!p) {
+            this._$practiceStatus.textContent = 'Pick a song, or paste a chord chart and press Practice Chart.';
+            return;
+        }
+        const missing = p.steps.some(({ chord }) => chordKeys(this.mapper, chord).includes(null));
+        this._$practiceStatus.textContent = `${p.song.title} — chord ${p.pos + 1}/${p.steps.length}`
+            + (missing ? '. ? = no key plays that note: switch Notes to All Notes.' : '');
+
+        let i = 0;
+        p.song.sections.forEach((section, s) => {
+            if (section.title) {
+                const title = document.createElement('div');
+                title.className = 'practice-section';
+                title.textContent = section.title;
+                $sheet.appendChild(title);
+            }
+            section.lines.forEach((line, l) => {
+                const chords = document.createElement('div');
+                chords.className = 'practice-chords';
+                let bar = 0;
+                for (; i < p.steps.length && p.steps[i].section === s && p.steps[i].line === l; i++) {
+                    const { chord } = p.steps[i];
+                    if (chord.bar !== bar) {
+                        chords.append('|  ');
+                        bar = chord.bar;
+                    }
+                    const hint = document.createElement(i === p.pos ? 'mark' : 'span');
+                    hint.textContent = formatHint(chord, chordKeys(this.mapper, chord), this.mapper);
+                    chords.append(hint, '  ');
+                }
+                if (line.chart) $sheet.appendChild(chords);
+                if (line.lyrics) {
+                    const lyrics = document.createElement('div');
+                    lyrics.className = 'practice-lyrics';
+                    lyrics.textContent = line.lyrics;
+                    $sheet.appendChild(lyrics);
+                }
+            });
         });
+    }
 
-        this._buildKeyboard();
+    // --- Play Along ---
+
+    _setupPlayAlongPanel() {
+        this._$playAlongBtn = document.getElementById('playalong-start');
+        this._$playAlongMidi = document.getElementById('playalong-midi');
+        this._$playAlongMidiFile = document.getElementById('playalong-midi-file');
+        this._$playAlongStatus = document.getElementById('playalong-status');
+        this._$playAlongLane = document.getElementById('playalong-lane');
+        this._$playAlongResults = document.getElementById('playalong-results');
+
+        this._$playAlongBtn.addEventListener('click', () => this.togglePlayAlong());
+        this._$playAlongMidi.addEventListener('click', () => this._$playAlongMidiFile.click());
+        this._$playAlongMidiFile.addEventListener('change', async () => {
+            const file = this._$playAlongMidiFile.files[0];
+            this._$playAlongMidiFile.value = '';
+            if (!file) return;
+            try {
+                const midi = readMidiFile(await file.arrayBuffer());
+                const targets = targetsFromMidi(midi, this._beatsPerBar());
+                if (!targets.length) throw new Error('No notes in file');
+                this._playAlongMidi = { title: file.name, targets };
+                this._setBpm(midi.bpm);
+                this._$playAlongStatus.textContent = `${file.name}: ${targets.length} notes`;
+            } catch (err) {
+                this._$playAlongStatus.textContent = `Import failed: ${err.message}`;
+            }
+        });
+        this._renderPlayAlong();
+    }
+
+    // Quarter-note beats per bar of the current meter.
+    _beatsPerBar() {
+        const sig = TIME_SIGNATURES[this.timeSignature];
+        return sig.beats / sig.division;
+    }
+
+    get _playAlongRunning() {
+        return this._unsubPlayAlong !== null || this.countingIn === 'play';
+    }
+
+    // Start a scored run of the loaded .mid file, or else of the Practice
+    // Songbook entry, after the count-in; a second press stops it.
+    togglePlayAlong() {
+        if (this._playAlongRunning) {
+            this._finishPlayAlong();
+            return;
+        }
+        const source = this._playAlongMidi ?? (this.practice && {
+            title: this.practice.song.title,
+            targets: targetsFromSong(this.practice.song, this._beatsPerBar()),
+        });
+        if (!source) {
+            this._$playAlongStatus.textContent = 'Pick a Practice Songbook song or load a .mid first';
+            return;
+        }
+        this._setMode('keys');
+        if (!this.armed) this.toggleArmed();
+        this.audio.init();
+        this.audio.resume();
+
+        this.playAlong = new PlayAlong(source.targets);
+        this._playAlongTitle = source.title;
+        this._playAlongKeys = this.playAlong.targets.map(t => (t.chord
+            ? chordKeys(this.mapper, t.chord)[0]
+            : keyForPitchClass(this.mapper, t.pcs[0], t.notes[0])));
+        this._buildPlayAlongLane();
+        this._countIn('play', () => {
+            // The subscription only keeps the clock (and its beat grid) running.
+            this._unsubPlayAlong = this.clock.every(1, () => {}, { swing: false });
+            const now = this.clock.beatAt(this.clock.now);
+            this._playAlongStart = this.countInBars ? Math.round(now) : Math.ceil(now) + this._beatsPerBar();
+            this._playAlongFrame();
+            this._renderPlayAlong();
+            this._renderStatus();
+        });
+        this._renderPlayAlong();
         this._renderStatus();
     }
 
-    _populateSelect(el, items) {
-        el.innerHTML = '';
-        for (const [value, label] of items) {
-            const opt = document.createElement('option');
-            opt.value = value;
-            opt.textContent = label;
-            el.appendChild(opt);
+    _stopPlayAlong() {
+        if (this.countingIn === 'play') this._cancelCountIn();
+        this._unsubPlayAlong?.();
+        this._unsubPlayAlong = null;
+        cancelAnimationFrame(this._playAlongRaf);
+        this._playAlongRaf = null;
+        this._playAlongStart = null;
+        this._playAlongNext = -1;
+    }
+
+    // Stop and show the results of what was played so far.
+    _finishPlayAlong() {
+        const running = this._playAlongStart !== null;
+        this._stopPlayAlong();
+        if (running && this.playAlong) {
+            const { accuracy } = this.playAlong.summary();
+            this.lastAction = `Play Along: ${Math.round(accuracy * 100)}%`;
         }
+        this._renderPlayAlong();
+        this._renderKeyboard();
+        this._renderStatus();
     }
 
-    // --- Keyboard visualisation ---
+    // Where the run is, in target beats.
+    _playAlongBeat() {
+        return this.clock.beatAt(this.clock.now) - this._playAlongStart;
+    }
 
-    _buildKeyboard() {
-        this._$keyboard.innerHTML = '';
-        this._keyCaps = {};
+    _playAlongHit(note) {
+        if (this._playAlongStart === null) return;
+        const result = this.playAlong.hit(note, this._playAlongBeat(), this.clock.secondsPerBeat);
+        this._$playAlongStatus.textContent = describeHit(result);
+        const el = this._playAlongEls[result.index];
+        if (result.grade === 'wrong' && el) {
+            el.classList.remove('wrong');
+            void el.offsetWidth;        // restart the flash
+            el.classList.add('wrong');
+        } else if (el) {
+            el.classList.add(result.grade);
+        }
+    }
 
-        const ROW_OFFSETS = [0, 0.5, 0.8, 1.3]; // em-based stagger
+    // One animation frame: close missed targets, scroll the lane, move the
+    // key highlight, and end the run a beat after the last target.
+    _playAlongFrame() {
+        const pa = this.playAlong;
+        const beat = this._playAlongBeat();
+        for (const i of pa.update(beat, this.clock.secondsPerBeat)) {
+            this._playAlongEls[i].classList.add('miss');
+        }
+        this._positionPlayAlongLane(beat);
+        if (pa.nextIndex !== this._playAlongNext) {
+            this._playAlongNext = pa.nextIndex;
+            this._renderKeyboard();
+        }
+        if (pa.done && beat > pa.lastBeat + 1) {
+            this._finishPlayAlong();
+            return;
+        }
+        this._playAlongRaf = requestAnimationFrame(() => this._playAlongFrame());
+    }
 
-        for (let r = 0; r < QWERTY_ROWS.length; r++) {
-            const row = document.createElement('div');
-            row.className = 'kb-row';
-            row.style.paddingLeft = `${ROW_OFFSETS[r] * 3.4}rem`;
+    _buildPlayAlongLane() {
+        const $lane = this._$playAlongLane;
+        $lane.querySelectorAll('.pa-note').forEach(el => el.remove());
+        this._playAlongEls = this.playAlong.targets.map((t, i) => {
+            const el = document.createElement('span');
+            const key = this._playAlongKeys[i];
+            el.className = 'pa-note';
+            el.textContent = t.chord
+                ? formatHint(t.chord, chordKeys(this.mapper, t.chord), this.mapper)
+                : `${t.label}[${key ? this.mapper.keyLabel(key).toLowerCase() : '?'}]`;
+            $lane.appendChild(el);
+            return el;
+        });
+        this._positionPlayAlongLane(-1);
+    }
 
-            for (const ch of QWERTY_ROWS[r]) {
-                const cap = document.createElement('div');
-                cap.className = 'key-cap';
-                cap.dataset.key = ch;
+    // Targets from one beat back to eight ahead, the "now" line at 12%.
+    _positionPlayAlongLane(beat) {
+        const AHEAD = 8, NOW = 12;
+        this.playAlong.targets.forEach((t, i) => {
+            const el = this._playAlongEls[i];
+            const ahead = t.beat - beat;
+            el.hidden = ahead < -1 || ahead > AHEAD;
+            el.style.left = `${NOW + ahead / AHEAD * (100 - NOW)}%`;
+        });
+    }
 
-                const label = document.createElement('span');
-                label.className = 'key-label';
-                label.textContent = ch.length === 1 ? ch.toUpperCase() : ch;
+    _renderPlayAlong() {
+        const running = this._playAlongRunning;
+        this._$playAlongBtn.textContent = running ? '■ Stop' : '▶ Play Along';
+        this._$playAlongBtn.classList.toggle('armed', running);
+        this._$playAlongMidi.disabled = running;
 
-                const noteLabel = document.createElement('span');
-                noteLabel.className = 'key-note';
+        const $r = this._$playAlongResults;
+        $r.innerHTML = '';
+        const pa = this.playAlong;
+        if (!pa || running || pa.results.every(r => r === null)) return;
 
-                cap.appendChild(label);
-                cap.appendChild(noteLabel);
-                row.appendChild(cap);
+        const ms = s => `${Math.round(s * 1000)} ms`;
+        const timing = st => (st.hit
+            ? `±${ms(st.meanError)}${Math.abs(st.bias) >= 0.005 ? `, ${ms(Math.abs(st.bias))} ${st.bias > 0 ? 'late' : 'early'}` : ''}`
+            : '—');
+        const sum = pa.summary();
+        const grades = Object.keys(GRADES).map(g => `${sum.grades[g]} ${GRADES[g].name}`).join(' · ');
+        const summary = document.createElement('div');
+        summary.className = 'pa-summary';
+        summary.textContent = `${this._playAlongTitle}: ${Math.round(sum.accuracy * 100)}%  ·  ${grades}`
+            + `  ·  ${sum.missed} missed  ·  ${sum.wrong} wrong  ·  ${sum.extra} extra  ·  timing ${timing(sum)}`;
+        $r.appendChild(summary);
 
-                this._keyCaps[ch] = { el: cap, noteEl: noteLabel };
+        const table = document.createElement('div');
+        table.className = 'pa-sections';
+        for (const text of ['Section', 'Hit', 'Accuracy', 'Timing']) {
+            const th = document.createElement('span');
+            th.className = 'pa-head';
+            th.textContent = text;
+            table.appendChild(th);
+        }
+        for (const st of pa.sectionStats()) {
+            for (const text of [st.name, `${st.hit}/${st.total}`, `${Math.round(st.accuracy * 100)}%`, timing(st)]) {
+                const cell = document.createElement('span');
+                cell.textContent = text;
+                table.appendChild(cell);
             }
-            this._$keyboard.appendChild(row);
         }
+        $r.appendChild(table);
     }
 
-    _renderKeyboard() {
-        for (const ch of Object.keys(this._keyCaps)) {
-            const { el, noteEl } = this._keyCaps[ch];
-            const midi = this.mapper.midiNote(ch);
-            noteEl.textContent = midi !== null ? pitchClassName(midi) : '';
-            el.classList.toggle('active', this.held.has(ch));
-            el.classList.toggle('armed', this.armed);
+    // --- Looper ---
+
+    _setupLooperPanel() {
+        this._$loopRec = document.getElementById('loop-rec');
+        this._$loopPlay = document.getElementById('loop-play');
+        this._$loopUndo = document.getElementById('loop-undo');
+        this._$loopClear = document.getElementById('loop-clear');
+        this._$loopStatus = document.getElementById('loop-status');
+        this._$loopLayers = document.getElementById('loop-layers');
+
+        this.looper.onChange = () => this._renderLooper();
+        this._$loopRec.addEventListener('click', () => this.toggleLoopRecording());
+        this._$loopPlay.addEventListener('click', () => {
+            if (this.looper.playing) this.looper.stop();
+            else this.looper.play();
+        });
+        this._$loopUndo.addEventListener('click', () => {
+            this.looper.undo();
+            this._renderLooperLayers();
+        });
+        this._$loopClear.addEventListener('click', () => {
+            this.looper.clear();
+            this._renderLooperLayers();
+        });
+        this._renderLooper();
+    }
+
+    // Record a layer with the current instrument (from the next bar line);
+    // pressed again, close it on the following one.
+    toggleLoopRecording() {
+        const state = this.looper.state;
+        if (state === 'waiting' || state === 'recording') {
+            this.looper.stopRecording();
+        } else {
+            this.audio.init();
+            this.audio.resume();
+            this.looper.record(this.audio.instrument);
         }
     }
 
-    _renderStatus() {
-        const parts = [];
-        if (this.armed) {
-            parts.push('Playing');
+    _renderLooper() {
+        const looper = this.looper;
+        const state = looper.state;
+        const recording = state === 'waiting' || state === 'recording';
+        this._$loopRec.textContent = recording ? '■ End Layer' : '● Rec Layer';
+        this._$loopRec.classList.toggle('armed', recording);
+        this._$loopPlay.textContent = looper.playing ? '■ Stop Loop' : '▶ Play Loop';
+        this._$loopPlay.disabled = !looper.length;
+        this._$loopUndo.disabled = !recording && !looper.layers.length;
+        this._$loopClear.disabled = !recording && !looper.layers.length;
+
+        const bars = looper.length / looper.beatsPerBar;
+        const bar = Math.floor(looper.position / looper.beatsPerBar) + 1;
+        const length = looper.length ? `${bars} bar${bars === 1 ? '' : 's'}` : 'No loop';
+        this._$loopStatus.textContent = {
+            empty: 'Press Rec Layer and play; press again to close the loop on the bar line.',
+            waiting: `${length} — recording from the next bar…`,
+            recording: looper.length ? `${length} — overdubbing, bar ${bar}` : `Recording bar ${bar}…`,
+            playing: `${length} — bar ${bar}`,
+            stopped: `${length} — stopped`,
+        }[state];
+        if (this._$loopLayers.childElementCount / 4 !== looper.layers.length) this._renderLooperLayers();
+    }
+
+    // One row per layer: name, instrument, mute and volume.
+    _renderLooperLayers() {
+        const $l = this._$loopLayers;
+        $l.innerHTML = '';
+        for (const layer of this.looper.layers) {
+            const name = document.createElement('span');
+            name.textContent = `Layer ${layer.id}`;
+
+            const instrument = document.createElement('select');
+            this._populateInstruments(instrument);
+            instrument.value = layer.instrument;
+            instrument.addEventListener('change', () => this.looper.setInstrument(layer.id, instrument.value));
+
+            const mute = document.createElement('label');
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = layer.muted;
+            box.addEventListener('change', () => this.looper.setMuted(layer.id, box.checked));
+            mute.append(box, 'Mute');
+
+            const volume = document.createElement('input');
+            volume.type = 'range';
+            volume.min = 0;
+            volume.max = 150;
+            volume.value = Math.round(layer.volume * 100);
+            volume.title = 'Layer volume';
+            volume.addEventListener('input', () => this.looper.setVolume(layer.id, Number(volume.value) / 100));
+
+            $l.append(name, instrument, mute, volume);
+        }
+    }
+
+    // --- Touch pad and wheels ---
+
+    _setupTouchPanel() {
+        this._$padMode = document.getElementById('pad-mode');
+        this._$xyPad = document.getElementById('xy-pad');
+        this._$bendWheel = document.getElementById('bend-wheel');
+        this._$modWheel = document.getElementById('mod-wheel');
+
+        this._populateSelect(this._$padMode, Object.keys(PAD_MODES).map(k => [k, PAD_MODES[k].name]));
+        this._$padMode.addEventListener('change', () => {
+            this.touchPad.liftAll();
+            this.touchPad.mode = this._$padMode.value;
+            this._renderTouchPad();
+        });
+
+        // Pointer position as 0–1 from the pad's left and bottom edges.
+        const at = e => {
+            const r = this._$xyPad.getBoundingClientRect();
+            return [(e.clientX - r.left) / r.width, 1 - (e.clientY - r.top) / r.height];
+        };
+        const pad = this._$xyPad;
+        pad.addEventListener('pointerdown', e => {
+            e.preventDefault();
+            pad.setPointerCapture(e.pointerId);
+            this.touchPad.press(e.pointerId, ...at(e));
+            this._paintTouchPad();
+        });
+        pad.addEventListener('pointermove', e => {
+            this.touchPad.move(e.pointerId, ...at(e));
+            this._paintTouchPad();
+        });
+        for (const type of ['pointerup', 'pointercancel', 'lostpointercapture']) {
+            pad.addEventListener(type, e => {
+                this.touchPad.lift(e.pointerId);
+                this._paintTouchPad();
+            });
+        }
+
+        // The bend wheel springs back to the middle when let go.
+        this._$bendWheel.addEventListener('input', () => this.output.pitchBend(Number(this._$bendWheel.value) / 100));
+        for (const type of ['pointerup', 'pointercancel', 'blur']) {
+            this._$bendWheel.addEventListener(type, () => this._setWheel('bend', 0));
+        }
+        this._$modWheel.addEventListener('input', () => this.output.modWheel(Number(this._$modWheel.value) / 100));
+        this._renderTouchPad();
+    }
+
+    // Move a wheel from code (MIDI in, spring-back): −1…1 for 'bend',
+    // 0–1 for 'mod'.
+    _setWheel(wheel, value) {
+        if (wheel === 'bend') {
+            this._$bendWheel.value = Math.round(value * 100);
+            this.output.pitchBend(value);
         } else {
-            parts.push('Paused — press Enter or click Play');
+            this._$modWheel.value = Math.round(value * 100);
+            this.output.modWheel(value);
+        }
+    }
+
+    // One labelled column per pad note, redrawn when the notes change
+    // (scale, root, mapping, octave) or the mode does.
+    _renderTouchPad() {
+        if (!this._$xyPad) return;
+        const columns = this.touchPad.columns();
+        const signature = `${this.touchPad.mode}:${columns.map(c => c.note).join(',')}`;
+        if (signature === this._padColumns) return;
+        this._padColumns = signature;
+        const root = this.mapper.rootPitchClass;
+        const flats = spellsWithFlats(root);
+        this._$xyPad.innerHTML = '';
+        for (const { note, at } of columns) {
+            const col = document.createElement('div');
+            col.className = 'pad-col';
+            col.classList.toggle('root', note % 12 === root);
+            col.dataset.note = note;
+            col.style.left = `${at * 100}%`;
+            const label = document.createElement('span');
+            label.textContent = pitchClassName(note, flats);
+            col.appendChild(label);
+            this._$xyPad.appendChild(col);
+        }
+        this._paintTouchPad();
+    }
+
+    _paintTouchPad() {
+        const active = this.touchPad.activeNotes;
+        for (const col of this._$xyPad.children) {
+            col.classList.toggle('on', active.has(Number(col.dataset.note)));
+        }
+    }
+
+    // --- Drum machine ---
+
+    _setupDrumPanel() {
+        this._$drumPlay = document.getElementById('drum-play');
+        this._$drumPattern = document.getElementById('drum-pattern');
+        this._$drumSwing = document.getElementById('drum-swing');
+        this._$drumVolume = document.getElementById('drum-volume');
+        this._$drumPads = document.getElementById('drum-pads');
+        this._$drumReset = document.getElementById('drum-reset');
+        this._$drumGrid = document.getElementById('drum-grid');
+
+        this._populateSelect(this._$drumPattern, this.drums.patterns.map((p, i) => [i, p.name]));
+        this._$drumVolume.value = Math.round(this.audio.drumVolume * 100);
+        this.drums.onStep = (step, time) => this._showDrumStep(step, time);
+
+        this._$drumPlay.addEventListener('click', () => this.toggleDrums());
+        this._$drumPattern.addEventListener('change', () => {
+            this.drums.select(Number(this._$drumPattern.value));
+            this._renderDrums();
+        });
+        this._$drumSwing.addEventListener('input', () => this.drums.setSwing(Number(this._$drumSwing.value) / 100));
+        this._$drumVolume.addEventListener('input', () => {
+            this.audio.drumVolume = Number(this._$drumVolume.value) / 100;
+        });
+        this._$drumPads.addEventListener('change', () => {
+            this.drumPads = this._$drumPads.checked;
+            this._renderKeyboard();
+        });
+        this._$drumReset.addEventListener('click', () => {
+            this.drums.resetPattern();
+            this._renderDrums();
+        });
+        this._renderDrums();
+    }
+
+    toggleDrums() {
+        if (this.drums.playing) {
+            this.drums.stop();
+        } else {
+            this.audio.init();
+            this.audio.resume();
+            this.drums.start();
+        }
+        this.lastAction = this.drums.playing ? `Drums: ${this.drums.pattern.name}` : 'Drums stopped';
+        this._renderDrums();
+        this._renderStatus();
+    }
+
+    _renderDrums() {
+        const drums = this.drums;
+        this._$drumPlay.textContent = drums.playing ? '■ Stop Drums' : '▶ Play Drums';
+        this._$drumPlay.classList.toggle('armed', drums.playing);
+        this._$drumPattern.value = drums.queued ?? drums.current;
+        this._$drumSwing.value = Math.round(drums.pattern.swing * 100);
+        this._$drumReset.disabled = !DEFAULT_PATTERNS[drums.current];
+        this._renderDrumGrid();
+    }
+
+    // One row per pad: its name, then a button per step shaded by velocity.
+    _renderDrumGrid() {
+        const $g = this._$drumGrid;
+        $g.innerHTML = '';
+        this._drumCells = Array.from({ length: STEPS }, () => []);     // per step: its cells
+        const steps = this.drums.pattern.steps;
+        for (const pad of DRUM_PADS) {
+            const name = document.createElement('span');
+            name.textContent = DRUM_VOICES[pad].name;
+            name.title = DRUM_VOICES[pad].name;
+            $g.appendChild(name);
+            for (let i = 0; i < STEPS; i++) {
+                const cell = document.createElement('button');
+                cell.className = 'drum-step';
+                cell.classList.toggle('beat', i % 4 === 0);
+                cell.addEventListener('click', () => {
+                    this._paintDrumStep(cell, this.drums.cycleStep(pad, i));
+                });
+                this._paintDrumStep(cell, steps[pad][i]);
+                this._drumCells[i].push(cell);
+                $g.appendChild(cell);
+            }
+        }
+    }
+
+    _paintDrumStep(cell, velocity) {
+        cell.classList.toggle('on', velocity > 0);
+        cell.style.opacity = velocity > 0 ? 0.35 + 0.65 * velocity / 127 : '';
+        cell.title = velocity > 0 ? `Velocity ${velocity}` : 'Off';
+    }
+
+    // Light the step's column when it sounds (steps are scheduled ahead).
+    _showDrumStep(step, time) {
+        const delay = Math.max(0, (time - this.clock.now) * 1000);
+        setTimeout(() => {
+            if (!this.drums.playing) return;
+            if (step === 0 && Number(this._$drumPattern.value) !== this.drums.current) this._renderDrums();
+            this._drumCells.forEach((cells, i) => {
+                for (const cell of cells) cell.classList.toggle('now', i === step);
+            });
+        }, delay);
+    }
+
+    // A pad on the number row: the hit, and a flash of its key cap.
+    _hitPad(key, pad, vel) {
+        this.audio.drum(pad, vel);
+        const { el } = this._keyCaps[key];
+        el.classList.add('active');
+        setTimeout(() => el.classList.toggle('active', this.held.has(key)), 120);
+    }
+
+    // --- Strum ---
+
+    // Sound a chord through the strummer, at context time `when` (now if
+    // omitted), optionally for `dur` seconds per string. Single notes and
+    // a zero spread play at once. Returns when the last string starts.
+    _strike(notes, vel, when, dur) {
+        const hits = this.strummer.strum(notes, vel);
+        const strummed = hits.some(h => h.offset > 0);
+        const t0 = when ?? (strummed || dur !== undefined ? this.clock.now : undefined);
+        let last = t0;
+        for (const { note, velocity, offset } of hits) {
+            const at = t0 === undefined ? undefined : t0 + offset;
+            this.output.noteOn(note, velocity, at);
+            if (dur !== undefined) this.output.noteOff(note, at + dur);
+            if (at > last) last = at;
+        }
+        return last;
+    }
+
+    _setBpm(bpm) {
+        const value = Math.max(40, Math.min(240, Math.round(Number(bpm) || 120)));
+        this.clock.bpm = value;
+        this.text.bpm = value;
+        this.audio.setTempo(value);
+        this._$bpm.value = value;
+        this._renderStatus();
+    }
+
+    // --- Metronome / count-in / tap tempo ---
+
+    _setMetronome(on) {
+        this._unsubClick?.();
+        this._unsubClick = null;
+        this.metronome = on;
+        this._$metronome.checked = on;
+        if (on) {
+            const sig = TIME_SIGNATURES[this.timeSignature];
+            this._unsubClick = this.clock.every(sig.division, (step, time) => {
+                this.audio.click(time, step % sig.beats === 0);
+            }, { swing: false });
+        }
+        this._renderStatus();
+    }
+
+    _setTimeSignature(sig) {
+        this.timeSignature = sig;
+        this._$timeSig.value = sig;
+        this.looper.beatsPerBar = this._beatsPerBar();
+        if (this.metronome) this._setMetronome(true);
+        this._renderStatus();
+    }
+
+    // Click `countInBars` bars, then call `start` on the following downbeat.
+    // The count begins on a bar line of the clock, so a running click and
+    // chugs stay in step with it.
+    _countIn(kind, start) {
+        this._cancelCountIn();
+        if (!this.countInBars) {
+            start();
+            return;
+        }
+        const sig = TIME_SIGNATURES[this.timeSignature];
+        const total = this.countInBars * sig.beats;
+        let first = null;
+        this.countingIn = kind;
+        this._unsubCountIn = this.clock.every(sig.division, (step, time) => {
+            if (first === null) {
+                if (step % sig.beats) return;
+                first = step;
+            }
+            const n = step - first;
+            if (n < total) {
+                if (!this.metronome) this.audio.click(time, n % sig.beats === 0);
+                return;
+            }
+            this._cancelCountIn();
+            this.countingIn = kind;
+            this._countInTimer = setTimeout(() => {
+                this._countInTimer = null;
+                this.countingIn = null;
+                start();
+            }, Math.max(0, (time - this.clock.now) * 1000));
+        }, { swing: false });
+        this._renderStatus();
+    }
+
+    _cancelCountIn() {
+        this._unsubCountIn?.();
+        this._unsubCountIn = null;
+        clearTimeout(this._countInTimer);
+        this._countInTimer = null;
+        this.countingIn = null;
+    }
+
+    // Average the last few taps; a pause over two seconds starts afresh.
+    tapTempo() {
+        const now = performance.now();
+        if (this._taps.length && now - this._taps.at(-1) > 2000) this._taps = [];
+        this._taps.push(now);
+        if (this._taps.length > 5) this._taps.shift();
+        if (this._taps.length < 2) {
+            this.lastAction = 'Tap…';
+        } else {
+            const beat = (this._taps.at(-1) - this._taps[0]) / (this._taps.length - 1);
+            this._setBpm(60000 / beat);
+            this.lastAction = `Tapped ${this.clock.bpm} BPM`;
+        }
+        this._renderStatus();
+    }
+
+    // --- MIDI input ---
+    // Incoming notes are scale-locked, shifted by the octave offset and then
+    // go through the same pipeline as a key press.
+
+    _onMidiNoteOn(midi, velocity) {
+        if (!this.armed || this.mode !== 'keys') return;
+        const id = `midi:${midi}`;
+        if (this.held.has(id)) {
+            this._release(id);
+            if (this.pedalMode === 'latch') return;
+        }
+        const raw = this.mapper.quantize(midi) + this.octaveOffset * 12;
+        if (raw < 0 || raw > 127) return;
+        this._press(id, raw, velocity);
+    }
+
+    _onMidiNoteOff(midi) {
+        if (this.pedalMode === 'latch') return;
+        const id = `midi:${midi}`;
+        if (this.held.has(id)) this._release(id);
+    }
+
+    _isTextField(el) {
+        return el instanceof HTMLTextAreaElement
+            || (el instanceof HTMLInputElement && el.type !== 'checkbox');
+    }
+
+    _onKeyUp(e) {
+        // A held command ends when its key comes up, whatever the modifiers.
+        for (const [id, cmd] of Object.entries(COMMANDS)) {
+            if (cmd.hold && this.keymap.bindings(id).some(b => b.split('+').at(-1) === e.code)) {
+                cmd.run(this, false);
+                return;
+            }
+        }
+        const key = CODE_TO_KEY[e.code];
+        if (key) this._keyUp(key);
+    }
+
+    // --- Pedal ---
+
+    // The Space bar acts as whichever pedal is selected. In Latch mode
+    // keys stay on until pressed again; Space lets go of all of them.
+    _pedal(down) {
+        if (this.pedalMode === 'latch') {
+            if (down) for (const id of [...this.held]) this._release(id);
+            return;
+        }
+        this._setPedal(this.pedalMode, down);
+    }
+
+    _setPedal(kind, down) {
+        if (kind === 'sustain') {
+            if (this.sustainDown === down) return;
+            this.sustainDown = down;
+            this.output.setSustain(down);
+        } else {
+            if (this.sostenutoDown === down) return;
+            this.sostenutoDown = down;
+            this._sostenutoKeys = down ? new Set(this.held) : new Set();
+            this.output.setSostenuto(down);
+        }
+        // Drop keys no pedal is holding any more.
+        for (const id of [...this.sustainedKeys.keys()]) {
+            if (!this.sustainDown && !this._sostenutoKeys.has(id)) this.sustainedKeys.delete(id);
+        }
+        this._renderStatus();
+        this._renderKeyboard();
+    }
+
+    _setPedalMode(mode) {
+        this._setPedal('sustain', false);
+        this._setPedal('sostenuto', false);
+        if (this.pedalMode === 'latch') {
+            for (const id of [...this.held]) this._release(id);
+        }
+        this.pedalMode = mode;
+        this._$pedal.value = mode;
+        this._renderStatus();
+    }
+
+    _lastTs = performance.now();
+
+    _velocity() {
+        const now = performance.now();
+        const delta = now - this._lastTs;
+        this._lastTs = now;
+        // Fast typing → louder, slow → softer, centred around 85
+        const speed = Math.max(0, Math.min(1, 1 - delta / 400));
+        return Math.round(65 + speed * 50);
+    }
+
+    // --- State ---
+
+    toggleArmed() {
+        this.armed = !this.armed;
+        if (!this.armed) this.panic();
+        this.audio.init();
+        this.audio.resume();
+        this._renderStatus();
+        this._renderKeyboard();
+    }
+
+    panic() {
+        if (this._playAlongRunning) this._finishPlayAlong();
+        this._cancelCountIn();
+        this.text.stop();
+        this.player.stop();
+        this.looper.stop();
+        this.drums.stop();
+        this._renderDrums();
+        this._chugKeys.clear();
+        this._arpPool.clear();
+        this.arp.reset();
+        this._setPedal('sustain', false);
+        this._setPedal('sostenuto', false);
+        this.sustainedKeys.clear();
+        this.touchPad.liftAll();
+        this.output.panic();
+        this.held.clear();
+        this.heldNotes.clear();
+        this.activeNotes.clear();
+        this.lastVLNote = null;
+        this.lastChord = null;
+        this._renderKeyboard();
+        this._renderText();
+    }
+
+    _shiftOctave(dir) {
+        this.octaveOffset = Math.max(-3, Math.min(3, this.octaveOffset + dir));
+        this.mapper.octaveOffset = this.octaveOffset;
+        this._writeHash();
+        this._renderStatus();
+        this._renderKeyboard();
+        this._renderPractice();
+    }
+
+    // --- Preset / control changes ---
+
+    // Built-in presets by key, user presets as `user:<id>`.
+    _findPreset(id) {
+        return id?.startsWith('user:') ? this.presets.get(id.slice(5)) : PRESETS[id] ?? null;
+    }
+
+    // `overrides` (any state fields) are applied over the preset's.
+    _applyPreset(id, overrides = {}) {
+        const p = this._findPreset(id);
+        if (!p) return;
+        const { name, id: _, ...state } = p;
+        this._applyState({ ...state, preset: id, ...overrides });
+    }
+
+    // Apply any subset of a setup state (see presets.js) and sync the controls.
+    _applyState(state) {
+        if (state.instrument) {
+            this.audio.setInstrument(state.instrument);
+            this._$instrument.value = state.instrument;
+            this._renderSoundFont();
+            this._renderPatch();
+            this._renderEffects();
+        }
+        if (state.scale) {
+            this.mapper.scale = resolveScale(state.scale, this.scales.get(state.scale)?.name);
+            this.scaleId = state.scale;
+            this._renderScaleSelect();
+        }
+        if (state.mapping) {
+            this.mapper.mode = state.mapping;
+            this._$mapping.value = state.mapping;
+        }
+        if (state.root !== undefined) {
+            this.mapper.rootPitchClass = state.root;
+            this._$root.value = state.root;
+        }
+        if (state.layout) {
+            this.mapper.setLayout(resolveLayout(state.layout, this.layouts.get(state.layout)?.name));
+            this.layoutId = state.layout;
+            this._renderLayoutSelect();
+        }
+        if (state.voiceLead !== undefined) {
+            this.voiceLead = state.voiceLead;
+            this._$voiceLead.checked = state.voiceLead;
+        }
+        if (state.powerChords !== undefined) {
+            this.powerChords = state.powerChords;
+            this.text.powerChords = state.powerChords;
+            this._$powerChords.checked = state.powerChords;
+        }
+        if (state.chords) {
+            this.chordMode = state.chords;
+            this._$chordMode.value = state.chords;
+        }
+        if (state.strum !== undefined) {
+            this.strummer.spread = state.strum;
+            this._$strum.value = state.strum;
+        }
+        if (state.octave !== undefined) {
+            this.octaveOffset = state.octave;
+            this.mapper.octaveOffset = state.octave;
+        }
+        if (this._findPreset(state.preset)) {
+            this._$preset.value = state.preset;
+            if (state.preset.startsWith('user:')) this._$presetName.value = this._findPreset(state.preset).name;
+        }
+        this.lastVLNote = null;
+        this.lastChord = null;
+
+        this._writeHash();
+        this._renderStatus();
+        this._renderKeyboard();
+        this._renderMapEditor();
+        this._renderPractice();
+    }
+
+    _currentState() {
+        return {
+            preset: this._$preset.value || undefined,
+            instrument: this.audio.instrument,
+            scale: this.scaleId,
+            mapping: this.mapper.mode,
+            root: this.mapper.rootPitchClass,
+            layout: this.layoutId,
+            voiceLead: this.voiceLead,
+            powerChords: this.powerChords,
+            chords: this.chordMode,
+            strum: this.strummer.spread,
+            octave: this.octaveOffset,
+        };
+    }
+
+    // Keep the URL hash in step with the controls, so the address bar is
+    // always a link to the current setup (replaceState adds no history).
+    _writeHash() {
+        history.replaceState(null, '', `#${encodeState(this._currentState())}`);
+    }
+
+    // --- UI setup ---
+
+    _setupUI() {
+        this._$status = document.getElementById('status');
+        this._$armBtn = document.getElementById('arm-btn');
+        this._$preset = document.getElementById('preset');
+        this._$instrument = document.getElementById('instrument');
+        this._$scale = document.getElementById('scale');
+        this._$root = document.getElementById('root');
+        this._$mapping = document.getElementById('mapping');
+        this._$layout = document.getElementById('layout');
+        this._$voiceLead = document.getElementById('voice-lead');
+        this._$powerChords = document.getElementById('power-chords');
+        this._$chordMode = document.getElementById('chord-mode');
+        this._$keyboard = document.getElementById('keyboard');
+        this._$mode = document.getElementById('mode');
+        this._$pedal = document.getElementById('pedal');
+        this._$style = document.getElementById('style');
+        this._$bpm = document.getElementById('bpm');
+        this._$swing = document.getElementById('swing');
+        this._$strum = document.getElementById('strum');
+        this._$strumDir = document.getElementById('strum-dir');
+        this._$humanize = document.getElementById('humanize');
+
+        // Populate selects
+        this._populateInstruments(this._$instrument);
+        this._populateSelect(this._$root, KEY_NAMES.map((name, pc) => [pc, name]));
+        this._populateSelect(this._$mapping, Object.keys(MAPPING_MODES).map(k => [k, MAPPING_MODES[k].name]));
+
+        // Listeners
+        this._$armBtn.addEventListener('click', () => this.toggleArmed());
+        this._$preset.addEventListener('change', () => {
+            this._applyPreset(this._$preset.value);
+            this._renderPresetButtons();
+        });
+        this._$instrument.addEventListener('change', () => {
+            this._applyState({ instrument: this._$instrument.value });
+        });
+        this._$scale.addEventListener('change', () => this._applyState({ scale: this._$scale.value }));
+        this._$mapping.addEventListener('change', () => this._applyState({ mapping: this._$mapping.value }));
+        this._$root.addEventListener('change', () => this._applyState({ root: Number(this._$root.value) }));
+        this._$layout.addEventListener('change', () => this._applyState({ layout: this._$layout.value }));
+        this._$voiceLead.addEventListener('change', () => {
+            this._applyState({ voiceLead: this._$voiceLead.checked });
+        });
+        this._$powerChords.addEventListener('change', () => {
+            this._applyState({ powerChords: this._$powerChords.checked });
+        });
+        this._populateSelect(this._$chordMode, Object.keys(CHORD_MODES).map(k => [k, CHORD_MODES[k].name]));
+        this._$chordMode.addEventListener('change', () => this._applyState({ chords: this._$chordMode.value }));
+        this._$mode.addEventListener('change', () => this._setMode(this._$mode.value));
+        this._populateSelect(this._$pedal, Object.keys(PEDAL_MODES).map(k => [k, PEDAL_MODES[k].name]));
+        this._$pedal.addEventListener('change', () => this._setPedalMode(this._$pedal.value));
+        this._populateSelect(this._$style, Object.keys(PLAY_STYLES).map(k => [k, PLAY_STYLES[k].name]));
+        this._$style.addEventListener('change', () => this._setStyle(this._$style.value));
+        this._$bpm.addEventListener('change', () => this._setBpm(this._$bpm.value));
+        this._$swing.addEventListener('input', () => {
+            this.clock.swing = Number(this._$swing.value) / 100;
+        });
+        this._setBpm(140);
+
+        this._populateSelect(this._$strumDir, Object.keys(STRUM_DIRECTIONS).map(k => [k, STRUM_DIRECTIONS[k].name]));
+        this._$strumDir.value = this.strummer.direction;
+        this._$strum.addEventListener('change', () => {
+            const ms = Math.max(0, Math.min(100, Math.round(Number(this._$strum.value) || 0)));
+            this._applyState({ strum: ms });
+        });
+        this._$strumDir.addEventListener('change', () => {
+            this.strummer.direction = this._$strumDir.value;
+            this.strummer.reset();
+        });
+        this._$humanize.addEventListener('input', () => {
+            this.strummer.humanize = Number(this._$humanize.value) / 100;
+        });
+
+        this._$tapBtn = document.getElementById('tap-btn');
+        this._$metronome = document.getElementById('metronome');
+        this._$timeSig = document.getElementById('time-sig');
+        this._$countIn = document.getElementById('count-in');
+        this._populateSelect(this._$timeSig, Object.keys(TIME_SIGNATURES).map(k => [k, TIME_SIGNATURES[k].name]));
+        this._populateSelect(this._$countIn, COUNT_IN_BARS);
+        this._$timeSig.value = this.timeSignature;
+        this._$countIn.value = this.countInBars;
+        this._$tapBtn.addEventListener('click', () => this.tapTempo());
+        this._$metronome.addEventListener('change', () => this._setMetronome(this._$metronome.checked));
+        this._$timeSig.addEventListener('change', () => this._setTimeSignature(this._$timeSig.value));
+        this._$countIn.addEventListener('change', () => { this.countInBars = Number(this._$countIn.value); });
+
+        this._setupTransport();
+        this._setupPresetPanel();
+        this._setupScalePanel();
+        this._setupLayoutPanel();
+        this._setupShortcuts();
+        this._setupArpPanel();
+        this._setupPracticePanel();
+        this._setupPlayAlongPanel();
+        this._setupLooperPanel();
+        this._setupDrumPanel();
+        this._setupTouchPanel();
+        this._setupTextPanel();
+        this._setupSoundFontPanel();
+        this._setupPatchPanel();
+        this._setupVoicePanel();
+        this._setupEffectsPanel();
+        this._setupMidiPanel();
+        this._buildKeyboard();
+        this._renderStatus();
+    }
+
+    // --- User presets ---
+
+    _setupPresetPanel() {
+        this._$presetName = document.getElementById('preset-name');
+        this._$presetSave = document.getElementById('preset-save');
+        this._$presetRename = document.getElementById('preset-rename');
+        this._$presetDelete = document.getElementById('preset-delete');
+        this._$presetExport = document.getElementById('preset-export');
+        this._$presetImport = document.getElementById('preset-import');
+        this._$presetImportFile = document.getElementById('preset-import-file');
+        this._$copyLink = document.getElementById('copy-link');
+        this._$presetStatus = document.getElementById('preset-status');
+
+        this._$presetSave.addEventListener('click', () => this._presetAction(() => {
+            const p = this.presets.save(this._$presetName.value, this._currentState());
+            this._renderPresetSelect();
+            this._applyPreset(`user:${p.id}`);
+            return `Saved "${p.name}"`;
+        }));
+        this._$presetRename.addEventListener('click', () => this._presetAction(() => {
+            const p = this.presets.rename(this._selectedUserPreset(), this._$presetName.value);
+            this._renderPresetSelect();
+            return `Renamed to "${p.name}"`;
+        }));
+        this._$presetDelete.addEventListener('click', () => this._presetAction(() => {
+            const p = this.presets.get(this._selectedUserPreset());
+            this.presets.delete(p.id);
+            this._$preset.value = '';
+            this._renderPresetSelect();
+            this._writeHash();
+            return `Deleted "${p.name}"`;
+        }));
+        this._$presetExport.addEventListener('click', () => {
+            this._download(new Blob([this.presets.toJson()], { type: 'application/json' }), 'making-music-presets.json');
+        });
+        this._$presetImport.addEventListener('click', () => this._$presetImportFile.click());
+        this._$presetImportFile.addEventListener('change', async () => {
+            const file = this._$presetImportFile.files[0];
+            this._$presetImportFile.value = '';
+            if (!file) return;
+            const text = await file.text();
+            this._presetAction(() => {
+                const count = this.presets.importJson(text);
+                this._renderPresetSelect();
+                return `Imported ${count} preset${count === 1 ? '' : 's'}`;
+            });
+        });
+        this._$copyLink.addEventListener('click', async () => {
+            this._writeHash();
+            try {
+                await navigator.clipboard.writeText(location.href);
+                this._$presetStatus.textContent = 'Link copied';
+            } catch (_) {
+                this._$presetStatus.textContent = 'Copy the address bar to share this setup';
+            }
+        });
+
+        this._renderPresetSelect();
+    }
+
+    // Run a preset command; its result or error goes to the panel note.
+    _presetAction(fn) {
+        try {
+            this._$presetStatus.textContent = fn();
+        } catch (err) {
+            this._$presetStatus.textContent = err.message;
+        }
+        this._renderPresetButtons();
+    }
+
+    _selectedUserPreset() {
+        const id = this._$preset.value;
+        if (!id.startsWith('user:')) throw new Error('Select one of your presets first');
+        return id.slice(5);
+    }
+
+    // Built-ins first, then the user's presets in their own group.
+    _renderPresetSelect() {
+        const $p = this._$preset;
+        const selected = $p.value;
+        this._populateSelect($p, PRESET_LIST.map(k => [k, PRESETS[k].name]));
+        this._appendOptgroup($p, 'My Presets', this.presets.presets.map(p => [`user:${p.id}`, p.name]));
+        $p.value = this._findPreset(selected) ? selected : '';
+        this._renderPresetButtons();
+    }
+
+    _renderPresetButtons() {
+        const user = this._$preset.value.startsWith('user:');
+        this._$presetRename.disabled = !user;
+        this._$presetDelete.disabled = !user;
+        this._$presetExport.disabled = !this.presets.presets.length;
+    }
+
+    // --- Scales ---
+
+    _setupScalePanel() {
+        this._$scaleName = document.getElementById('scale-name');
+        this._$scaleIntervals = document.getElementById('scale-intervals');
+        this._$scaleAdd = document.getElementById('scale-add');
+        this._$scaleDelete = document.getElementById('scale-delete');
+        this._$scaleStatus = document.getElementById('scale-status');
+
+        this._$scaleAdd.addEventListener('click', () => {
+            try {
+                const sc = this.scales.add(this._$scaleName.value, this._$scaleIntervals.value);
+                this._$scaleStatus.textContent = `Added "${sc.name}" (${sc.id.slice(6)})`;
+                this._applyState({ scale: sc.id });
+            } catch (err) {
+                this._$scaleStatus.textContent = err.message;
+            }
+        });
+        this._$scaleDelete.addEventListener('click', () => {
+            const sc = this.scales.get(this.scaleId);
+            if (!sc) return;
+            this.scales.delete(sc.id);
+            this._$scaleStatus.textContent = `Deleted "${sc.name}"`;
+            this._applyState({ scale: 'major' });
+        });
+
+        this._renderScaleSelect();
+    }
+
+    // Built-in scales by group, then the user's; a scale that came in
+    // through a link but isn't saved here is listed too.
+    _renderScaleSelect() {
+        const $s = this._$scale;
+        const groups = new Map();
+        for (const k of SCALE_LIST) {
+            const g = SCALES[k].group;
+            if (!groups.has(g)) groups.set(g, []);
+            groups.get(g).push([k, SCALES[k].name]);
+        }
+        $s.innerHTML = '';
+        for (const [label, items] of groups) this._appendOptgroup($s, label, items);
+        const custom = this.scales.scales.map(sc => [sc.id, sc.name]);
+        if (!Object.hasOwn(SCALES, this.scaleId) && !this.scales.get(this.scaleId)) {
+            custom.push([this.scaleId, this.mapper.scale.name]);
+        }
+        this._appendOptgroup($s, 'Custom', custom);
+        $s.value = this.scaleId;
+        this._$scaleDelete.disabled = !this.scales.get(this.scaleId);
+    }
+
+    // --- Keyboard layouts and key maps ---
+
+    _setupLayoutPanel() {
+        this._$layoutPanel = document.getElementById('layout-panel');
+        this._$keyboardLayout = document.getElementById('keyboard-layout');
+        this._$mapEditor = document.getElementById('map-editor');
+        this._$mapUnits = document.getElementById('map-units');
+        this._$mapName = document.getElementById('map-name');
+        this._$mapSave = document.getElementById('map-save');
+        this._$mapDelete = document.getElementById('map-delete');
+        this._$mapStatus = document.getElementById('map-status');
+
+        this._populateSelect(this._$keyboardLayout, [
+            ['auto', 'Detect'],
+            ...Object.keys(PHYSICAL_LAYOUTS).map(k => [k, PHYSICAL_LAYOUTS[k].name]),
+        ]);
+        this._$keyboardLayout.value = this.layouts.keyboard;
+        this._$keyboardLayout.addEventListener('change', () => {
+            this.layouts.setKeyboard(this._$keyboardLayout.value);
+            this._applyKeyboard();
+        });
+        this.mapper.setPhysical(this._keyboardId());
+        navigator.keyboard?.getLayoutMap?.().then(map => {
+            this._detectedKeyboard = detectPhysicalLayout(map);
+            this._$keyboardLayout.options[0].textContent = this._detectedKeyboard
+                ? `Detect (${PHYSICAL_LAYOUTS[this._detectedKeyboard].name})`
+                : 'Detect (unknown: QWERTY)';
+            this._applyKeyboard();
+        }).catch(() => {});
+
+        // One cell per key, laid out like the keyboard: its degree (blank
+        // for silent) and the note that plays.
+        this._mapCells = {};
+        for (const row of QWERTY_ROWS) {
+            const $row = document.createElement('div');
+            $row.className = 'map-row';
+            for (const key of row) {
+                const cell = document.createElement('label');
+                cell.className = 'map-key';
+                const label = document.createElement('span');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = 0;
+                input.max = MAX_MAP_DEGREE;
+                input.addEventListener('change', () => this._editMap());
+                const note = document.createElement('small');
+                cell.append(label, input, note);
+                $row.appendChild(cell);
+                this._mapCells[key] = { label, input, note };
+            }
+            this._$mapEditor.appendChild($row);
+        }
+        this._$mapUnits.addEventListener('change', () => this._editMap());
+        this._$layoutPanel.addEventListener('toggle', () => this._renderMapEditor());
+        document.getElementById('map-clear').addEventListener('click', () => {
+            for (const { input } of Object.values(this._mapCells)) input.value = '';
+            this._editMap();
+        });
+
+        this._$mapSave.addEventListener('click', () => {
+            try {
+                const chromatic = this._$mapUnits.value === 'semitones';
+                const map = this.layouts.add(this._$mapName.value, this._mapDegrees(), chromatic);
+                this._$mapStatus.textContent = `Saved "${map.name}"`;
+                this._applyState({ layout: map.id });
+            } catch (err) {
+                this._$mapStatus.textContent = err.message;
+            }
+        });
+        this._$mapDelete.addEventListener('click', () => {
+            const map = this.layouts.get(this.layoutId);
+            if (!map) return;
+            this.layouts.delete(map.id);
+            this._$mapStatus.textContent = `Deleted "${map.name}"`;
+            this._applyState({ layout: 'typewriterLinear' });
+        });
+
+        this._renderLayoutSelect();
+    }
+
+    // The chosen physical keyboard, or the detected one (QWERTY when the
+    // browser can't tell).
+    _keyboardId() {
+        const chosen = this.layouts.keyboard;
+        return chosen === 'auto' ? this._detectedKeyboard ?? 'qwerty' : chosen;
+    }
+
+    _applyKeyboard() {
+        this.mapper.setPhysical(this._keyboardId());
+        this._renderKeyboard();
+        this._renderMapEditor();
+        this._renderPractice();
+    }
+
+    // Built-in layouts, then the user's key maps; a map that came in
+    // through a link (or is being edited) but isn't saved is listed too.
+    _renderLayoutSelect() {
+        const $s = this._$layout;
+        this._populateSelect($s, Object.keys(KEY_LAYOUTS).map(k => [k, KEY_LAYOUTS[k].name]));
+        const custom = this.layouts.layouts.map(l => [l.id, l.name]);
+        if (!Object.hasOwn(KEY_LAYOUTS, this.layoutId) && !this.layouts.get(this.layoutId)) {
+            custom.push([this.layoutId, this.mapper.layout.name]);
+        }
+        this._appendOptgroup($s, 'Custom', custom);
+        $s.value = this.layoutId;
+        this._$mapDelete.disabled = !this.layouts.get(this.layoutId);
+    }
+
+    // The editor shows the current layout; any change turns it into a key
+    // map, played at once.
+    _renderMapEditor() {
+        if (!this._$layoutPanel.open) return;
+        const m = this.mapper;
+        const flats = spellsWithFlats(m.rootPitchClass);
+        this._$mapUnits.value = m.layout.chromatic ? 'semitones' : 'degrees';
+        for (const [key, { label, input, note }] of Object.entries(this._mapCells)) {
+            const degree = m.degree(key);
+            const midi = m.midiNote(key);
+            label.textContent = m.keyLabel(key);
+            if (document.activeElement !== input) input.value = degree ?? '';
+            note.textContent = midi !== null ? pitchClassName(midi, flats) : '';
+        }
+    }
+
+    _editMap() {
+        const chromatic = this._$mapUnits.value === 'semitones';
+        this._applyState({ layout: layoutId(this._mapDegrees(), chromatic) });
+        this._$mapStatus.textContent = '';
+    }
+
+    // Degrees typed into the editor; blank or out-of-range cells are silent.
+    _mapDegrees() {
+        const degrees = {};
+        for (const [key, { input }] of Object.entries(this._mapCells)) {
+            const d = Number(input.value);
+            if (input.value !== '' && Number.isInteger(d) && d >= 0 && d <= MAX_MAP_DEGREE) degrees[key] = d;
+        }
+        return degrees;
+    }
+
+    // --- Shortcuts (cheat sheet and remapping) ---
+
+    _setupShortcuts() {
+        this._$shortcuts = document.getElementById('shortcuts');
+        this._$keysList = document.getElementById('keys-list');
+        this._$keysReset = document.getElementById('keys-reset');
+        this._$keysStatus = document.getElementById('keys-status');
+
+        this._$keysReset.addEventListener('click', () => {
+            this._capturing = null;
+            this.keymap.resetAll();
+            this._$keysStatus.textContent = 'All shortcuts reset';
+            this._renderShortcuts();
+        });
+        this._renderShortcuts();
+    }
+
+    _rebind(id, binding) {
+        this._capturing = null;
+        const moved = this.keymap.assign(id, binding);
+        const label = formatBinding(binding);
+        this._$keysStatus.textContent = moved
+            ? `${label} now does "${COMMANDS[id].name}" (taken from "${COMMANDS[moved].name}")`
+            : `${label} now does "${COMMANDS[id].name}"`;
+        this._renderShortcuts();
+    }
+
+    _kbd(binding) {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = formatBinding(binding);
+        return kbd;
+    }
+
+    // The help line and the Shortcuts panel both come from COMMANDS.
+    _renderShortcuts() {
+        this._$shortcuts.innerHTML = '';
+        this._$keysList.innerHTML = '';
+        for (const [id, cmd] of Object.entries(COMMANDS)) {
+            const keys = this.keymap.bindings(id);
+
+            const item = document.createElement('span');
+            item.className = 'shortcut';
+            keys.forEach((b, i) => item.append(i ? ' / ' : '', this._kbd(b)));
+            item.append(` ${cmd.name.toLowerCase()}`);
+            if (keys.length) this._$shortcuts.appendChild(item);
+
+            const name = document.createElement('span');
+            name.textContent = cmd.name;
+            const bound = document.createElement('span');
+            if (keys.length) keys.forEach((b, i) => bound.append(i ? ' ' : '', this._kbd(b)));
+            else bound.textContent = '(none)';
+            const change = document.createElement('button');
+            change.textContent = this._capturing === id ? 'Press keys…' : 'Change';
+            change.classList.toggle('armed', this._capturing === id);
+            change.addEventListener('click', () => {
+                this._capturing = this._capturing === id ? null : id;
+                this._renderShortcuts();
+            });
+            const reset = document.createElement('button');
+            reset.textContent = 'Reset';
+            reset.disabled = !this.keymap.isCustom(id);
+            reset.addEventListener('click', () => {
+                this.keymap.reset(id);
+                this._renderShortcuts();
+            });
+            this._$keysList.append(name, bound, change, reset);
+        }
+    }
+
+    // --- Record / playback transport ---
+
+    _setupTransport() {
+        this._$recBtn = document.getElementById('rec-btn');
+        this._$playbackBtn = document.getElementById('playback-btn');
+        this._$exportBtn = document.getElementById('export-mid-btn');
+        this._$importBtn = document.getElementById('import-mid-btn');
+        this._$importFile = document.getElementById('import-mid-file');
+        this._$renderBtn = document.getElementById('render-wav-btn');
+        this._$wavDepth = document.getElementById('wav-depth');
+
+        this._$recBtn.addEventListener('click', () => this.toggleRecording());
+        this._$playbackBtn.addEventListener('click', () => this.togglePlayback());
+        this._$exportBtn.addEventListener('click', () => this.exportMidi());
+        this._$importBtn.addEventListener('click', () => this._$importFile.click());
+        this._$renderBtn.addEventListener('click', () => this.renderWav());
+        this._$importFile.addEventListener('change', () => {
+            const file = this._$importFile.files[0];
+            this._$importFile.value = '';
+            if (file) this.importMidi(file);
+        });
+        this.player.onEnd = () => {
+            this._renderTransport();
+            this._renderStatus();
+        };
+
+        this._renderTransport();
+    }
+
+    toggleRecording() {
+        if (this.countingIn === 'rec') {
+            this._cancelCountIn();
+        } else if (this.recorder.isRecording) {
+            const take = this.recorder.stop();
+            this.lastAction = take ? `Recorded ${take.duration.toFixed(1)} s` : 'Nothing recorded';
+        } else {
+            this.player.stop();
+            if (!this.armed) this.toggleArmed();
+            this.lastAction = '';
+            this._countIn('rec', () => {
+                this.recorder.start();
+                this._renderTransport();
+                this._renderStatus();
+            });
+        }
+        this._renderTransport();
+        this._renderStatus();
+    }
+
+    togglePlayback() {
+        if (this.player.isPlaying) {
+            this.player.stop();
+        } else if (this.recorder.take) {
+            if (this.recorder.isRecording) this.recorder.stop();
+            this.audio.init();
+            this.audio.resume();
+            this.player.play(this.recorder.take);
+        }
+        this._renderTransport();
+        this._renderStatus();
+    }
+
+    exportMidi() {
+        const take = this.recorder.take;
+        if (!take) return;
+        const bytes = writeMidiFile(take.events, { name: 'Making Music', bpm: this.clock.bpm });
+        this._download(new Blob([bytes], { type: 'audio/midi' }), 'making-music.mid');
+    }
+
+    // Offline-render the take (Keys mode) or one pass of the script (Text
+    // mode) with the current instrument and download it as a WAV.
+    async renderWav() {
+        let events;
+        if (this.mode === 'text') {
+            this.text.stop();
+            events = this.text.toEvents();
+        } else {
+            events = this.recorder.take?.events;
+        }
+        if (!events?.length) {
+            this.lastAction = 'Nothing to render';
+            this._renderStatus();
+            return;
+        }
+
+        this._$renderBtn.disabled = true;
+        this.lastAction = 'Rendering…';
+        this._renderStatus();
+        try {
+            const buffer = await this.audio.renderOffline(events);
+            const wav = encodeWav(buffer, Number(this._$wavDepth.value));
+            this._download(new Blob([wav], { type: 'audio/wav' }), 'making-music.wav');
+            this.lastAction = `Rendered ${buffer.duration.toFixed(1)} s`;
+        } catch (err) {
+            this.lastAction = `Render failed: ${err.message}`;
+        }
+        this._$renderBtn.disabled = false;
+        this._renderText();
+        this._renderStatus();
+    }
+
+    _download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async importMidi(file) {
+        try {
+            const { events, duration } = readMidiFile(await file.arrayBuffer());
+            if (!events.length) throw new Error('No notes in file');
+            this.player.stop();
+            this.recorder.take = { events, duration };
+            this.lastAction = `Loaded ${file.name}`;
+        } catch (err) {
+            this.lastAction = `Import failed: ${err.message}`;
+        }
+        this._renderTransport();
+        this._renderStatus();
+    }
+
+    _renderTransport() {
+        const rec = this.recorder.isRecording || this.countingIn === 'rec';
+        const playing = this.player.isPlaying;
+        const hasTake = !!this.recorder.take;
+        this._$recBtn.textContent = rec ? '■ Stop' : '● Rec';
+        this._$recBtn.classList.toggle('recording', rec);
+        this._$playbackBtn.textContent = playing ? '■ Stop' : '▷ Playback';
+        this._$playbackBtn.classList.toggle('armed', playing);
+        this._$playbackBtn.disabled = !hasTake || rec;
+        this._$exportBtn.disabled = !hasTake || rec;
+    }
+
+    // --- Text mode ---
+
+    _setupTextPanel() {
+        this._$textPanel = document.getElementById('text-panel');
+        this._$textScript = document.getElementById('text-script');
+        this._$textChords = document.getElementById('text-chords');
+        this._$textStyle = document.getElementById('text-style');
+        this._$textGrid = document.getElementById('text-grid');
+        this._$textAdvance = document.getElementById('text-advance');
+        this._$textPlay = document.getElementById('text-play');
+        this._$textStatus = document.getElementById('text-status');
+
+        this._populateSelect(this._$textStyle, Object.keys(SCRIPT_STYLES).map(k => [k, SCRIPT_STYLES[k].name]));
+        this._populateSelect(this._$textGrid, Object.keys(TIMING_GRIDS).map(k => [k, TIMING_GRIDS[k].name]));
+        this._populateSelect(this._$textAdvance, Object.keys(CHORD_ADVANCE).map(k => [k, CHORD_ADVANCE[k].name]));
+        this._$textStyle.value = this.text.style;
+        this._$textGrid.value = this.text.grid;
+        this._$textAdvance.value = this.text.chordAdvance;
+
+        this.text.setScript(this._$textScript.value);
+        this.text.setChordChart(this._$textChords.value);
+        this.text.onTick = () => this._renderText();
+
+        this._$textScript.addEventListener('input', () => {
+            this.text.setScript(this._$textScript.value);
+            this._renderText();
+        });
+        this._$textChords.addEventListener('input', () => {
+            this.text.setChordChart(this._$textChords.value);
+            this._renderText();
+        });
+        this._$textStyle.addEventListener('change', () => { this.text.style = this._$textStyle.value; });
+        this._$textGrid.addEventListener('change', () => { this.text.grid = this._$textGrid.value; });
+        this._$textAdvance.addEventListener('change', () => { this.text.chordAdvance = this._$textAdvance.value; });
+        this._$textPlay.addEventListener('click', () => this.toggleTextPlayback());
+
+        this._renderText();
+    }
+
+    toggleTextPlayback() {
+        if (this.countingIn === 'text') {
+            this._cancelCountIn();
+        } else if (this.text.isPlaying) {
+            this.text.stop();
+        } else {
+            this.audio.init();
+            this.audio.resume();
+            this._countIn('text', () => {
+                this.text.play();
+                this._renderText();
+                this._renderStatus();
+            });
+        }
+        this._renderText();
+        this._renderStatus();
+    }
+
+    _setMode(mode) {
+        if (mode === this.mode) return;
+        this.panic();
+        this.mode = mode;
+        this._$mode.value = mode;
+        this._$textPanel.hidden = mode !== 'text';
+        this._renderStatus();
+    }
+
+    _renderText() {
+        const t = this.text;
+        const playing = t.isPlaying || this.countingIn === 'text';
+        this._$textPlay.textContent = playing ? '■ Stop Script' : '▶ Play Script';
+        this._$textPlay.classList.toggle('armed', playing);
+
+        const chord = t.currentChord;
+        let chordInfo = chord
+            ? `Chord ${t.chordIndex + 1}/${t.chordCount}: ${chord.symbol}`
+            : 'Chords: (none)';
+        if (t.chartErrors.length) {
+            chordInfo += `   Skipped: ${t.chartErrors.map(e => e.token).join(' ')}`;
+        }
+
+        // Show the script with the character about to play highlighted.
+        const chars = Array.from(this._$textScript.value);
+        const $s = this._$textStatus;
+        $s.textContent = `${chordInfo}   `;
+        if (!playing || !chars.length) return;
+        const i = Math.min(t.scriptIndex, chars.length - 1);
+        const mark = document.createElement('mark');
+        mark.textContent = chars[i];
+        $s.append(chars.slice(0, i).join(''), mark, chars.slice(i + 1).join(''));
+    }
+
+    // --- MIDI ---
+
+    // --- SoundFont ---
+
+    _setupSoundFontPanel() {
+        this._$sfLoad = document.getElementById('sf-load');
+        this._$sfFile = document.getElementById('sf-file');
+        this._$sfBuiltin = document.getElementById('sf-builtin');
+        this._$sfInstrument = document.getElementById('sf-instrument');
+        this._$sfProgram = document.getElementById('sf-program');
+        this._$sfStatus = document.getElementById('sf-status');
+
+        this._$sfLoad.addEventListener('click', () => this._$sfFile.click());
+        this._$sfFile.addEventListener('change', () => {
+            const file = this._$sfFile.files[0];
+            this._$sfFile.value = '';
+            if (file) this.loadSoundFont(file);
+        });
+        this._$sfBuiltin.addEventListener('click', () => {
+            this.output.panic();
+            this.audio.setSoundFont(null);
+            this._sfFileName = '';
+            this._renderSoundFont();
+        });
+        this._$sfProgram.addEventListener('change', () => {
+            const value = this._$sfProgram.value;
+            this.audio.setProgram(this.audio.instrument, value === '' ? null : Number(value));
+        });
+        this._renderSoundFont();
+    }
+
+    async loadSoundFont(file) {
+        this._$sfStatus.textContent = `Reading ${file.name}…`;
+        try {
+            const font = readSoundFont(await file.arrayBuffer());
+            if (!font.presets.length) throw new Error('No playable presets');
+            this.output.panic();
+            this.audio.setSoundFont(font);
+            this._sfFileName = file.name;
+            this.lastAction = `SoundFont: ${font.name || file.name}`;
+            this._renderSoundFont();
+        } catch (err) {
+            // Keep whatever was playing before.
+            this._$sfStatus.textContent = `Couldn't load ${file.name}: ${err.message}`;
+        }
+        this._renderStatus();
+    }
+
+    // The program select lists the soundfont's melodic (bank 0) presets for
+    // the current instrument.
+    _renderSoundFont() {
+        const font = this.audio.soundFont;
+        const instrument = this.audio.instrument;
+        const program = this.audio.programs[instrument] ?? null;
+        const options = [['', 'FM voice']];
+        if (font) {
+            const label = (p, name) => `${String(p + 1).padStart(3, '0')} ${name}`;
+            const melodic = font.presets.filter(p => p.bank === 0);
+            options.push(...melodic.map(p => [p.program, label(p.program, p.name)]));
+            if (program !== null && !melodic.some(p => p.program === program)) {
+                options.push([program, label(program, '(not in this font)')]);
+            }
+        }
+        this._populateSelect(this._$sfProgram, options);
+        this._$sfProgram.value = font && program !== null ? program : '';
+        this._$sfProgram.disabled = !font;
+        this._$sfBuiltin.disabled = !font;
+        this._$sfInstrument.textContent = INSTRUMENTS[instrument].name;
+        this._$sfStatus.textContent = font
+            ? `${this._sfFileName}${font.name ? ` (${font.name})` : ''} — ${font.presets.length} presets`
+            : 'Built-in FM sounds';
+    }
+
+    // --- Patch editor ---
+
+    _setupPatchPanel() {
+        this._$patchInstrument = document.getElementById('patch-instrument');
+        this._$patchName = document.getElementById('patch-name');
+        this._$patchSave = document.getElementById('patch-save');
+        this._$patchRevert = document.getElementById('patch-revert');
+        this._$patchDelete = document.getElementById('patch-delete');
+        this._$patchExport = document.getElementById('patch-export');
+        this._$patchImport = document.getElementById('patch-import');
+        this._$patchImportFile = document.getElementById('patch-import-file');
+        this._$patchStatus = document.getElementById('patch-status');
+        this._$patchParams = document.getElementById('patch-params');
+
+        // The edits move to the new instrument, which starts with the
+        // current one's effects; a built-in goes back to its own sound.
+        this._$patchSave.addEventListener('click', () => this._patchAction(() => {
+            const from = this.audio.instrument;
+            const id = this.patches.save(this._$patchName.value, INSTRUMENTS[from]);
+            const rack = this.audio.effectsFor(from);
+            this.audio.setEffects(id, normalizeRack(rack, rack));
+            this.racks.save(id, this.audio.effectsFor(id));
+            revertBuiltIn(from);
+            this._renderInstruments();
+            this._applyState({ instrument: id });
+            return `Saved "${INSTRUMENTS[id].name}"`;
+        }));
+        this._$patchRevert.addEventListener('click', () => this._patchAction(() => {
+            revertBuiltIn(this.audio.instrument);
+            this._renderPatch();
+            return 'Reverted';
+        }));
+        this._$patchDelete.addEventListener('click', () => this._patchAction(() => {
+            const instrument = this.audio.instrument;
+            const { name } = INSTRUMENTS[instrument];
+            this.patches.delete(instrument);
+            this.racks.delete(instrument);
+            delete this.audio.effects[instrument];
+            for (const layer of this.looper.layers) {
+                if (layer.instrument === instrument) this.looper.setInstrument(layer.id, 'grandPiano');
+            }
+            this._renderInstruments();
+            this._applyState({ instrument: 'grandPiano' });
+            return `Deleted "${name}"`;
+        }));
+        this._$patchExport.addEventListener('click', () => {
+            const patch = INSTRUMENTS[this.audio.instrument];
+            const file = `${patch.name.replace(/[^\w-]+/g, '-').toLowerCase()}.json`;
+            this._download(new Blob([this.patches.toJson([patch])], { type: 'application/json' }), file);
+        });
+        this._$patchImport.addEventListener('click', () => this._$patchImportFile.click());
+        this._$patchImportFile.addEventListener('change', async () => {
+            const file = this._$patchImportFile.files[0];
+            this._$patchImportFile.value = '';
+            if (!file) return;
+            const text = await file.text();
+            this._patchAction(() => {
+                const count = this.patches.importJson(text);
+                this._renderInstruments();
+                return `Imported ${count} instrument${count === 1 ? '' : 's'}`;
+            });
+        });
+        this._renderPatch();
+    }
+
+    // Run a patch command; its result or error goes to the panel note.
+    _patchAction(fn) {
+        try {
+            this._$patchStatus.textContent = fn();
+        } catch (err) {
+            this._$patchStatus.textContent = err.message;
+        }
+        this._renderPatchButtons();
+    }
+
+    // Set one parameter of the current instrument in place: the next note
+    // plays it. Saved instruments keep the change.
+    _editPatch(key, value) {
+        const instrument = this.audio.instrument;
+        INSTRUMENTS[instrument][key] = value;
+        this.patches.update(instrument);
+        this._renderPatchButtons();
+    }
+
+    // A group of controls per PATCH_PARAMS group, for the current instrument.
+    _renderPatch() {
+        const preset = INSTRUMENTS[this.audio.instrument];
+        this._$patchInstrument.textContent = `Patch for ${preset.name}`;
+        const $p = this._$patchParams;
+        $p.innerHTML = '';
+        const groups = new Map();
+        for (const [key, param] of Object.entries(PATCH_PARAMS)) {
+            if (!param.group) continue;
+            if (!groups.has(param.group)) {
+                const group = document.createElement('fieldset');
+                group.className = 'patch-group';
+                const legend = document.createElement('legend');
+                legend.textContent = param.group;
+                group.appendChild(legend);
+                groups.set(param.group, group);
+                $p.appendChild(group);
+            }
+            const value = preset[key] ?? param.default;
+            groups.get(param.group).appendChild(this._paramControl(param, value, v => this._editPatch(key, v)));
+        }
+        this._renderPatchButtons();
+    }
+
+    _renderPatchButtons() {
+        const instrument = this.audio.instrument;
+        this._$patchRevert.disabled = !isEditedBuiltIn(instrument);
+        this._$patchDelete.disabled = !this.patches.get(instrument);
+    }
+
+    // The instrument select and looper layers, after instruments come or go.
+    _renderInstruments() {
+        const selected = this._$instrument.value;
+        this._populateInstruments(this._$instrument);
+        this._$instrument.value = INSTRUMENTS[selected] ? selected : 'grandPiano';
+        this._renderLooperLayers();
+    }
+
+    // Built-in instruments, then saved patches in their own group.
+    _populateInstruments(el) {
+        this._populateSelect(el, INSTRUMENT_LIST.map(k => [k, INSTRUMENTS[k].name]));
+        this._appendOptgroup(el, 'My Instruments', this.patches.patches.map(p => [`patch:${p.id}`, p.name]));
+    }
+
+    // --- Voice allocation ---
+
+    _setupVoicePanel() {
+        this._$voiceMode = document.getElementById('voice-mode');
+        this._$voicePolyphony = document.getElementById('voice-polyphony');
+        this._$voiceSteal = document.getElementById('voice-steal');
+        this._$voiceGlide = document.getElementById('voice-glide');
+        this._$voiceUnison = document.getElementById('voice-unison');
+        this._$voiceDetune = document.getElementById('voice-detune');
+        this._$voiceStatus = document.getElementById('voice-status');
+
+        this._populateSelect(this._$voiceMode, Object.keys(VOICE_MODES).map(k => [k, VOICE_MODES[k].name]));
+        this._populateSelect(this._$voicePolyphony, [4, 8, 12, 16, 24, 32, 48, 64].map(n => [n, `${n} voices`]));
+        this._populateSelect(this._$voiceSteal, Object.keys(STEAL_MODES).map(k => [k, STEAL_MODES[k].name]));
+        this._populateSelect(this._$voiceUnison, Array.from({ length: MAX_UNISON }, (_, i) => [i + 1, i ? `${i + 1}×` : 'Off']));
+
+        const v = this.audio.voicing;
+        this._$voiceMode.value = v.mode;
+        this._$voicePolyphony.value = v.polyphony;
+        this._$voiceSteal.value = v.steal;
+        this._$voiceGlide.value = Math.round(v.glide * 1000);
+        this._$voiceUnison.value = v.unison;
+        this._$voiceDetune.value = v.detune;
+
+        const update = () => {
+            this.audio.setVoicing({
+                mode: this._$voiceMode.value,
+                polyphony: Number(this._$voicePolyphony.value),
+                steal: this._$voiceSteal.value,
+                glide: Number(this._$voiceGlide.value) / 1000,
+                unison: Number(this._$voiceUnison.value),
+                detune: Number(this._$voiceDetune.value),
+            });
+            this._renderVoicing();
+        };
+        for (const el of [this._$voiceMode, this._$voicePolyphony, this._$voiceSteal, this._$voiceUnison]) {
+            el.addEventListener('change', update);
+        }
+        this._$voiceGlide.addEventListener('input', update);
+        this._$voiceDetune.addEventListener('input', update);
+        this._renderVoicing();
+    }
+
+    _renderVoicing() {
+        const v = this.audio.voicing;
+        this._$voiceGlide.disabled = v.mode === 'poly';
+        this._$voiceDetune.disabled = v.unison === 1;
+        const glide = v.mode === 'poly' ? '' : `, glide ${Math.round(v.glide * 1000)} ms`;
+        const unison = v.unison > 1 ? `, ${v.unison} voices per note ±${v.detune / 2} ct` : '';
+        this._$voiceStatus.textContent = `${VOICE_MODES[v.mode].name}${glide}${unison}`;
+    }
+
+    // --- Effects rack ---
+
+    _setupEffectsPanel() {
+        this._$fxInstrument = document.getElementById('fx-instrument');
+        this._$fxReset = document.getElementById('fx-reset');
+        this._$fxRack = document.getElementById('fx-rack');
+
+        // Racks edited in earlier sessions.
+        for (const [instrument, raw] of Object.entries(this.racks.racks)) {
+            if (!INSTRUMENTS[instrument]) continue;
+            this.audio.setEffects(instrument, normalizeRack(raw, defaultRack(INSTRUMENTS[instrument])));
+        }
+
+        this._$fxReset.addEventListener('click', () => {
+            const instrument = this.audio.instrument;
+            this.racks.delete(instrument);
+            this.audio.setEffects(instrument, defaultRack(INSTRUMENTS[instrument]));
+            this._renderEffects();
+        });
+        this._renderEffects();
+    }
+
+    // Change the current instrument's rack (`edit` gets a copy to modify),
+    // hear it and keep it.
+    _editEffects(edit) {
+        const instrument = this.audio.instrument;
+        const current = this.audio.effectsFor(instrument);
+        const settings = normalizeRack(current, current);
+        edit(settings);
+        this.audio.setEffects(instrument, settings);
+        this.racks.save(instrument, settings);
+    }
+
+    _moveEffect(kind, by) {
+        this._editEffects(settings => {
+            const i = settings.order.indexOf(kind);
+            const j = i + by;
+            if (j < 0 || j >= settings.order.length) return;
+            [settings.order[i], settings.order[j]] = [settings.order[j], settings.order[i]];
+        });
+        this._renderEffects();
+    }
+
+    // One slot per effect in signal order: on/off, move buttons and a
+    // control per parameter.
+    _renderEffects() {
+        const instrument = this.audio.instrument;
+        const settings = this.audio.effectsFor(instrument);
+        this._$fxInstrument.textContent = `Effects for ${INSTRUMENTS[instrument].name}`;
+        this._$fxReset.disabled = !this.racks.racks[instrument];
+        const $r = this._$fxRack;
+        $r.innerHTML = '';
+        settings.order.forEach((kind, i) => {
+            const effect = EFFECTS[kind];
+            const slot = document.createElement('div');
+            slot.className = 'fx-slot';
+            slot.classList.toggle('off', !settings[kind].on);
+
+            const head = document.createElement('div');
+            head.className = 'fx-head';
+            const toggle = document.createElement('label');
+            const on = document.createElement('input');
+            on.type = 'checkbox';
+            on.checked = settings[kind].on;
+            on.addEventListener('change', () => {
+                this._editEffects(s => { s[kind].on = on.checked; });
+                slot.classList.toggle('off', !on.checked);
+                this._$fxReset.disabled = false;
+            });
+            toggle.append(on, effect.name);
+            const up = document.createElement('button');
+            up.textContent = '↑';
+            up.title = 'Earlier in the chain';
+            up.disabled = i === 0;
+            up.addEventListener('click', () => this._moveEffect(kind, -1));
+            const down = document.createElement('button');
+            down.textContent = '↓';
+            down.title = 'Later in the chain';
+            down.disabled = i === settings.order.length - 1;
+            down.addEventListener('click', () => this._moveEffect(kind, 1));
+            head.append(toggle, up, down);
+
+            const params = document.createElement('div');
+            params.className = 'fx-params';
+            for (const [key, param] of Object.entries(effect.params)) {
+                params.appendChild(this._paramControl(param, settings[kind][key], v => {
+                    this._editEffects(s => { s[kind][key] = v; });
+                    this._$fxReset.disabled = false;
+                }));
+            }
+            slot.append(head, params);
+            $r.appendChild(slot);
+        });
+    }
+
+    // A labelled range, checkbox or select for one effect or patch
+    // parameter; `set` gets each new value.
+    _paramControl(param, value, set) {
+        const label = document.createElement('label');
+        if (param.toggle) {
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = value;
+            box.addEventListener('change', () => set(box.checked));
+            label.append(box, param.name);
+        } else if (param.options) {
+            const select = document.createElement('select');
+            this._populateSelect(select, param.options);
+            select.value = value;
+            select.addEventListener('change', () => {
+                set(param.options.find(([v]) => String(v) === select.value)[0]);
+            });
+            label.append(param.name, select);
+        } else {
+            const range = document.createElement('input');
+            range.type = 'range';
+            range.min = param.min;
+            range.max = param.max;
+            range.step = param.step;
+            range.value = value;
+            const shown = document.createElement('span');
+            shown.className = 'fx-value';
+            const show = v => { shown.textContent = `${v}${/^\w/.test(param.unit) ? ' ' : ''}${param.unit}`; };
+            show(value);
+            range.addEventListener('input', () => {
+                show(Number(range.value));
+                set(Number(range.value));
+            });
+            label.append(param.name, range, shown);
+        }
+        return label;
+    }
+
+    _setupMidiPanel() {
+        this._$midiEnable = document.getElementById('midi-enable');
+        this._$outputTarget = document.getElementById('output-target');
+        this._$midiOut = document.getElementById('midi-out');
+        this._$midiChannel = document.getElementById('midi-channel');
+        this._$midiIn = document.getElementById('midi-in');
+        this._$midiStatus = document.getElementById('midi-status');
+
+        this._populateSelect(this._$outputTarget, Object.keys(OUTPUT_TARGETS).map(k => [k, OUTPUT_TARGETS[k].name]));
+        this._populateSelect(this._$midiChannel, Array.from({ length: 16 }, (_, i) => [i, `Ch ${i + 1}`]));
+
+        this.midi.onNoteOn = (n, v) => this._onMidiNoteOn(n, v);
+        this.midi.onNoteOff = n => this._onMidiNoteOff(n);
+        this.midi.onControlChange = (cc, value) => {
+            if (cc === CC_SUSTAIN) this._setPedal('sustain', value >= 64);
+            if (cc === CC_SOSTENUTO) this._setPedal('sostenuto', value >= 64);
+            if (cc === CC_MODULATION) this._setWheel('mod', value / 127);
+        };
+        this.midi.onPitchBend = value => this._setWheel('bend', value);
+        this.midi.onPortsChanged = () => this._renderMidiPorts();
+
+        this._$midiEnable.addEventListener('click', async () => {
+            try {
+                await this.midi.request();
+                this._$midiStatus.textContent = '';
+            } catch (err) {
+                this._$midiStatus.textContent = err.message;
+            }
+        });
+        this._$outputTarget.addEventListener('change', () => {
+            this.panic();
+            this.output.target = this._$outputTarget.value;
+        });
+        this._$midiOut.addEventListener('change', () => this.midi.selectOutput(this._$midiOut.value));
+        this._$midiChannel.addEventListener('change', () => {
+            this.midi.panic();
+            this.midi.channel = Number(this._$midiChannel.value);
+        });
+        this._$midiIn.addEventListener('change', () => {
+            this.panic();
+            this.midi.selectInput(this._$midiIn.value);
+        });
+
+        if (!MidiIO.supported) {
+            this._$midiEnable.disabled = true;
+            this._$midiStatus.textContent = 'Web MIDI is not available in this browser';
+        }
+        this._renderMidiPorts();
+    }
+
+    _renderMidiPorts() {
+        const fill = (el, ports, selected) => {
+            this._populateSelect(el, [['', '(none)'], ...ports.map(p => [p.id, p.name])]);
+            el.value = selected ?? '';
+            el.disabled = !this.midi.access;
+        };
+        fill(this._$midiOut, this.midi.outputs, this.midi.outputId);
+        fill(this._$midiIn, this.midi.inputs, this.midi.inputId);
+        this._$midiEnable.hidden = !!this.midi.access;
+    }
+
+    _appendOptgroup(el, label, items) {
+        if (!items.length) return;
+        const group = document.createElement('optgroup');
+        group.label = label;
+        for (const [value, text] of items) {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = text;
+            group.appendChild(opt);
+        }
+        el.appendChild(group);
+    }
+
+    _populateSelect(el, items) {
+        el.innerHTML = '';
+        for (const [value, label] of items) {
+            const opt = document.createElement('option');
+            opt.value = value;
+            opt.textContent = label;
+            el.appendChild(opt);
+        }
+    }
+
+    // --- Keyboard visualisation ---
+
+    _buildKeyboard() {
+        this._$keyboard.innerHTML = '';
+        this._keyCaps = {};
+
+        const ROW_OFFSETS = [0, 0.5, 0.8, 1.3]; // stagger, in key widths
+
+        for (let r = 0; r < QWERTY_ROWS.length; r++) {
+            const row = document.createElement('div');
+            row.className = 'kb-row';
+            row.style.paddingLeft = `calc(var(--key-w) * ${ROW_OFFSETS[r]})`;
+
+            for (const ch of QWERTY_ROWS[r]) {
+                const cap = document.createElement('div');
+                cap.className = 'key-cap';
+                cap.dataset.key = ch;
+
+                const label = document.createElement('span');
+                label.className = 'key-label';
+
+                const noteLabel = document.createElement('span');
+                noteLabel.className = 'key-note';
+
+                cap.appendChild(label);
+                cap.appendChild(noteLabel);
+                row.appendChild(cap);
+
+                this._keyCaps[ch] = { el: cap, labelEl: label, noteEl: noteLabel };
+            }
+            this._$keyboard.appendChild(row);
+        }
+    }
+
+    _renderKeyboard() {
+        const root = this.mapper.rootPitchClass;
+        const flats = spellsWithFlats(root);
+        const next = this._playAlongStart !== null
+            ? this._playAlongKeys[this.playAlong.nextIndex]
+            : this._practiceTarget()?.key;
+        for (const ch of Object.keys(this._keyCaps)) {
+            const { el, labelEl, noteEl } = this._keyCaps[ch];
+            const pad = this.drumPads ? PAD_KEYS[ch] : undefined;
+            const midi = pad ? null : this.mapper.midiNote(ch);
+            labelEl.textContent = this.mapper.keyLabel(ch);
+            noteEl.textContent = pad ? DRUM_VOICES[pad].short : midi !== null ? pitchClassName(midi, flats) : '';
+            el.classList.toggle('root', midi !== null && midi % 12 === root);
+            el.classList.toggle('active', this.held.has(ch));
+            el.classList.toggle('sustained', this.sustainedKeys.has(ch));
+            el.classList.toggle('armed', this.armed);
+            el.classList.toggle('next', ch === next);
+        }
+        this._renderTouchPad();
+    }
+
+    _renderStatus() {
+        const parts = [];
+        if (this.armed) {
+            parts.push('Playing');
+        } else {
+            parts.push('Paused — press Enter or click Play');
+        }
+        if (this.mode === 'text') parts.push('Text mode');
+        const key = KEY_NAMES[this.mapper.rootPitchClass];
+        parts.push(this.mapper.mode === 'musical'
+            ? `Scale Lock (${key} ${this.mapper.scale.name})`
+            : `All Notes (from ${key})`);
+        if (this.style === 'arp') {
+            parts.push(`Arp ${ARP_ORDERS[this.arp.order].name}${this.arpLatch ? ' (latch)' : ''}`);
+        } else if (this.style !== 'hold') {
+            parts.push(PLAY_STYLES[this.style].name);
         }
+        parts.push(`${this.clock.bpm} BPM`);
+        if (this.metronome) parts.push(`Click ${this.timeSignature}`);
+        if (this.countingIn) parts.push('Count-in…');
+        if (this.sustainDown) parts.push('Sustain: down');
+        if (this.sostenutoDown) parts.push('Sostenuto: down');
+        if (this.pedalMode === 'latch') parts.push(`Latch (${this.held.size})`);
+        if (this.recorder.isRecording) parts.push('● REC');
+        if (this.player.isPlaying) parts.push('Playback');
+        if (this.drums.playing) parts.push(`Drums: ${this.drums.pattern.name}`);
+        if (this._playAlongStart !== null) parts.push('Play Along');
+        if (this.practice) parts.push(`Practice ${this.practice.pos + 1}/${this.practice.steps.length}`);
         if (this.octaveOffset !== 0) {
             parts.push(`Oct ${this.octaveOffset > 0 ? '+' : ''}${this.octaveOffset}`);
         }
+        if (this.lastAction) parts.push(this.lastAction);
         this._$status.textContent = parts.join('  ·  ');
         this._$armBtn.textContent = this.armed ? '⏸ Pause' : '▶ Play';
         this._$armBtn.classList.toggle('armed', this.armed);
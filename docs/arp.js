@@ -0,0 +1,79 @@
+// arp.js — Arpeggiator pattern logic.
+//
+// The app hands in the notes currently held (in the order they were
+// pressed) on every clock step; the arpeggiator answers with the next
+// note to play. Timing, gate and latch live with the caller, which owns
+// the clock and the output.
+
+export const ARP_ORDERS = {
+    up:       { name: 'Up' },
+    down:     { name: 'Down' },
+    upDown:   { name: 'Up-Down' },
+    random:   { name: 'Random' },
+    asPlayed: { name: 'As Played' },
+};
+
+// Steps per beat on the shared clock.
+export const ARP_RATES = {
+    eighths:    { name: '8ths',     division: 2 },
+    triplets:   { name: 'Triplets', division: 3 },
+    sixteenths: { name: '16ths',    division: 4 },
+};
+
+export class Arpeggiator {
+    // `random` returns [0, 1); pass a seeded one for repeatable output.
+    constructor(random = Math.random) {
+        this.order = 'up';              // key of ARP_ORDERS
+        this.octaves = 1;               // 1–4
+        this.rate = 'sixteenths';       // key of ARP_RATES
+        this.gate = 0.5;                // fraction of a step each note sounds
+        this._random = random;
+        this._index = 0;
+        this._last = null;
+    }
+
+    // The full cycle for `notes` (press order) across the octave range.
+    sequence(notes) {
+        const unique = [...new Set(notes)];
+        const spread = [];
+        for (let o = 0; o < this.octaves; o++) {
+            for (const n of unique) {
+                if (n + o * 12 <= 127) spread.push(n + o * 12);
+            }
+        }
+        const up = [...spread].sort((a, b) => a - b);
+        switch (this.order) {
+            case 'down':     return up.reverse();
+            // Turn around without repeating the top or bottom note.
+            case 'upDown':   return up.length > 2 ? [...up, ...up.slice(1, -1).reverse()] : up;
+            case 'asPlayed': return spread;
+            default:         return up;
+        }
+    }
+
+    // Next note for the held `notes`, or null when nothing is held.
+    next(notes) {
+        const seq = this.sequence(notes);
+        if (!seq.length) {
+            this.reset();
+            return null;
+        }
+        let note;
+        if (this.order === 'random') {
+            // Avoid hitting the same note twice in a row when there's a choice.
+            do {
+                note = seq[Math.floor(this._random() * seq.length)];
+            } while (seq.length > 1 && note === this._last);
+        } else {
+            note = seq[this._index % seq.length];
+            this._index = (this._index + 1) % seq.length;
+        }
+        this._last = note;
+        return note;
+    }
+
+    reset() {
+        this._index = 0;
+        this._last = null;
+    }
+}
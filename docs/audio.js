@@ -1,30 +1,33 @@
 // audio.js — FM-synthesis engine over Web Audio API.
-// Polyphonic, with 3-band EQ (matching native app), reverb, distortion,
-// and per-instrument presets. Piano instruments use dual FM operator
-// pairs with detuning for a richer, warmer timbre.
+// Polyphonic up to a voice limit, or mono / legato, with unison stacks
+// (see voices.js); a per-instrument effects rack (see effects.js) and
+// per-instrument presets. Piano instruments use dual FM operator
+// pairs with detuning for a richer, warmer timbre. Drum voices are
+// synthesised separately from oscillators and noise. With a soundfont
+// loaded, instruments play its samples instead (see sf2.js).
+
+import { findPreset, regionsFor } from './sf2.js';
+import { EffectsRack, defaultRack, makeImpulse, seededRandom } from './effects.js';
+import { VoiceAllocator, defaultVoicing } from './voices.js';
 
 function midiToFreq(midi) {
     return 440 * Math.pow(2, (midi - 69) / 12);
 }
 
-function softClipCurve(amount) {
-    const k = amount * 100;
-    const n = 44100;
-    const curve = new Float32Array(n);
-    for (let i = 0; i < n; i++) {
-        const x = (i * 2) / n - 1;
-        curve[i] = ((1 + k) * x) / (1 + k * Math.abs(x));
-    }
-    return curve;
-}
-
 // --- Instrument presets ---
 // Presets with `rich: true` spawn a second FM carrier-modulator pair
 // (4 operators total) for hammer-like attack shimmer and chorus warmth.
+// `program` is the General MIDI program (0-based, as in the native app)
+// an instrument plays from a loaded soundfont. `distortion`, `reverb` and
+// `effects` seed its effects rack (see defaultRack in effects.js).
+// Voice parameters a preset leaves out take their defaults from
+// PATCH_PARAMS in patches.js, where the patch editor's custom
+// instruments are kept.
 
 export const INSTRUMENTS = {
     grandPiano: {
         name: 'Grand Piano',
+        program: 0,
         carrier: 'sine', fmRatio: 2, fmDepth: 0.55,
         rich: true, richRatio: 7, richDepth: 0.22, richDetune: 3,
         attack: 0.003, decay: 0.7, sustain: 0.18, release: 0.55,
@@ -33,6 +36,7 @@ export const INSTRUMENTS = {
     },
     piano: {
         name: 'Piano',
+        program: 1,
         carrier: 'sine', fmRatio: 2, fmDepth: 0.5,
         rich: true, richRatio: 4, richDepth: 0.14, richDetune: 2,
         attack: 0.004, decay: 0.55, sustain: 0.22, release: 0.45,
@@ -41,60 +45,112 @@ export const INSTRUMENTS = {
     },
     electricPiano: {
         name: 'Electric Piano',
+        program: 4,
         carrier: 'sine', fmRatio: 7, fmDepth: 0.3,
         rich: true, richRatio: 14, richDepth: 0.08, richDetune: 4,
         attack: 0.003, decay: 0.65, sustain: 0.18, release: 0.5,
         filterFreq: 4000, filterQ: 0.9,
         distortion: 0, reverb: 0.3,
+        effects: { tremolo: { on: true, rate: 4.5, depth: 35 } },
     },
     guitarClean: {
         name: 'Guitar (Clean)',
+        program: 27,
         carrier: 'sawtooth', fmRatio: 3, fmDepth: 0.15,
         attack: 0.003, decay: 0.2, sustain: 0.35, release: 0.2,
         filterFreq: 3000, filterQ: 2,
         distortion: 0.12, reverb: 0.14,
+        effects: { cab: { on: true, tone: 5500 }, chorus: { on: true, mix: 30 } },
     },
     guitarOverdriven: {
         name: 'Guitar (Overdriven)',
+        program: 29,
         carrier: 'sawtooth', fmRatio: 1, fmDepth: 0.4,
         attack: 0.002, decay: 0.15, sustain: 0.5, release: 0.15,
         filterFreq: 2400, filterQ: 3,
         distortion: 0.4, reverb: 0.1,
+        effects: { cab: { on: true }, delay: { on: true, mix: 15 } },
     },
     guitarDistortion: {
         name: 'Guitar (Distortion)',
+        program: 30,
         carrier: 'sawtooth', fmRatio: 1, fmDepth: 0.6,
         attack: 0.001, decay: 0.1, sustain: 0.6, release: 0.1,
         filterFreq: 2000, filterQ: 4,
         distortion: 0.6, reverb: 0.08,
+        effects: { cab: { on: true, tone: 4000, body: 4 }, compressor: { on: true } },
     },
     synthPad: {
         name: 'Synth Pad',
+        program: 89,
         carrier: 'sawtooth', fmRatio: 2, fmDepth: 0.2,
         rich: true, richRatio: 3, richDepth: 0.1, richDetune: 6,
         attack: 0.15, decay: 0.3, sustain: 0.7, release: 0.6,
         filterFreq: 1800, filterQ: 2,
         distortion: 0, reverb: 0.4,
+        effects: { chorus: { on: true }, delay: { on: true, mix: 20 } },
     },
 };
 
 export const INSTRUMENT_LIST = Object.keys(INSTRUMENTS);
 
+// Add (or replace) an instrument beyond the built-in list, e.g. a saved
+// patch. INSTRUMENT_LIST keeps only the built-in ones.
+export function registerInstrument(id, preset) {
+    INSTRUMENTS[id] = preset;
+}
+
+export function unregisterInstrument(id) {
+    if (!INSTRUMENT_LIST.includes(id)) delete INSTRUMENTS[id];
+}
+
+// --- Drum voices ---
+// Synthesised from oscillators and a shared noise buffer; `short` labels
+// the pad on the keyboard. Toms are one recipe at three pitches (Hz).
+
+export const DRUM_VOICES = {
+    kick:      { name: 'Kick',       short: 'BD' },
+    snare:     { name: 'Snare',      short: 'SD' },
+    closedHat: { name: 'Closed Hat', short: 'CH' },
+    openHat:   { name: 'Open Hat',   short: 'OH' },
+    clap:      { name: 'Clap',       short: 'CP' },
+    lowTom:    { name: 'Low Tom',    short: 'LT', pitch: 95 },
+    midTom:    { name: 'Mid Tom',    short: 'MT', pitch: 135 },
+    highTom:   { name: 'High Tom',   short: 'HT', pitch: 185 },
+};
+
 // --- Voice (single note) ---
 // In "rich" mode two FM pairs are created:
 //   Pair A (body):   carrier at freq,           mod at freq × fmRatio
 //   Pair B (attack): carrier at freq + detune,  mod at freq × richRatio
 // Pair B is quieter and its modulation depth decays faster, giving a
 // bright hammer-like transient that melts into the warm body.
+// The filter opens by `filterEnv` × cutoff at the attack and closes over
+// the decay. An optional vibrato LFO swings the carriers' detune and a
+// tremolo LFO the output level.
+
+// Voices take an optional start time so they can be scheduled ahead
+// (offline rendering); by default they start immediately. `endTime` is
+// when a voice falls silent: Infinity until it is released.
+
+// Seconds a stolen voice takes to fade out.
+const STEAL_FADE = 0.008;
+
+// Mod wheel vibrato: rate (Hz), and its depth in cents at full wheel.
+const WHEEL_VIBRATO_RATE = 5.5;
+const MOD_DEPTH = 40;
 
 class Voice {
-    constructor(ctx, midi, velocity, preset, output) {
+    constructor(ctx, midi, velocity, preset, output, when = ctx.currentTime) {
         this.ctx = ctx;
         this._stopped = false;
+        this.endTime = Infinity;
+        this._releasedAt = null;
 
         const freq = midiToFreq(midi);
         const vel = (velocity / 127) * 0.45;
-        const now = ctx.currentTime;
+        const now = when;
+        this._t0 = when;
 
         // Shared lowpass filter
         this._filter = ctx.createBiquadFilter();
@@ -102,7 +158,7 @@ class Voice {
         this._filter.frequency.value = preset.filterFreq;
         this._filter.Q.value = preset.filterQ;
         // Bright attack → darker sustain (mimics piano hammer damping)
-        this._filter.frequency.setValueAtTime(preset.filterFreq * 1.6, now);
+        this._filter.frequency.setValueAtTime(preset.filterFreq * (1 + (preset.filterEnv ?? 0.6)), now);
         this._filter.frequency.exponentialRampToValueAtTime(
             preset.filterFreq, now + preset.decay * 0.6
         );
@@ -111,9 +167,22 @@ class Voice {
         this._env = ctx.createGain();
         this._env.gain.value = 0;
         this._filter.connect(this._env);
-        this._env.connect(output);
 
         this._oscs = [];
+        this._carriers = [];
+        this._tuned = [];               // [osc, own detune] of every operator
+
+        // Tremolo: level swings between 1 and 1 − depth.
+        const tremolo = preset.tremoloDepth ?? 0;
+        if (tremolo > 0) {
+            const trem = ctx.createGain();
+            trem.gain.value = 1 - tremolo / 2;
+            this._lfo(ctx, preset.tremoloRate ?? 5, tremolo / 2, trem.gain);
+            this._env.connect(trem);
+            trem.connect(output);
+        } else {
+            this._env.connect(output);
+        }
 
         // --- Pair A: body ---
         this._buildPair(ctx, freq, now, preset.carrier,
@@ -127,8 +196,17 @@ class Voice {
                 preset.decay * 0.35, preset.richDetune, 0.35);
         }
 
+        // Vibrato: ± depth cents on every carrier.
+        const vibrato = preset.vibratoDepth ?? 0;
+        if (vibrato > 0) {
+            const depth = this._lfo(ctx, preset.vibratoRate ?? 5, vibrato);
+            for (const carr of this._carriers) depth.connect(carr.detune);
+        }
+
         this._vel = vel;
         this._preset = preset;
+        this._started = false;
+        this._wheel = null;             // mod wheel vibrato depth, once used
     }
 
     // Build one carrier-modulator pair and wire it into this._filter.
@@ -149,6 +227,7 @@ class Voice {
         carr.frequency.value = freq;
         if (detuneCents) carr.detune.value = detuneCents;
         modGain.connect(carr.frequency);
+        this._tuned.push([mod, 0], [carr, detuneCents]);
 
         if (level < 1.0) {
             const g = ctx.createGain();
@@ -160,52 +239,319 @@ class Voice {
         }
 
         this._oscs.push(mod, carr);
+        this._carriers.push(carr);
+    }
+
+    // A sine LFO at `rate` Hz scaled by `amount`, into `param` when given.
+    // Returns the scaling gain.
+    _lfo(ctx, rate, amount, param = null) {
+        const lfo = ctx.createOscillator();
+        lfo.type = 'sine';
+        lfo.frequency.value = rate;
+        const depth = ctx.createGain();
+        depth.gain.value = amount;
+        lfo.connect(depth);
+        if (param) depth.connect(param);
+        this._oscs.push(lfo);
+        return depth;
     }
 
     start() {
-        const now = this.ctx.currentTime;
+        const now = this._t0;
         const { attack, decay, sustain } = this._preset;
         this._env.gain.setValueAtTime(0.0001, now);
         this._env.gain.linearRampToValueAtTime(this._vel, now + attack);
         this._env.gain.linearRampToValueAtTime(this._vel * sustain, now + attack + decay);
         for (const osc of this._oscs) osc.start(now);
+        this._started = true;
+    }
+
+    // Envelope level at time `t`, computed from the ADSR rather than read
+    // back from the AudioParam, so releases can be scheduled in the future.
+    _levelAt(t) {
+        const { attack, decay, sustain } = this._preset;
+        const dt = t - this._t0;
+        if (dt <= 0) return 0.0001;
+        if (dt < attack) return this._vel * (dt / attack);
+        if (dt < attack + decay) {
+            return this._vel * (1 - (1 - sustain) * ((dt - attack) / decay));
+        }
+        return this._vel * sustain;
     }
 
-    release() {
+    // Level at time `t`, release included (for stealing the quietest).
+    loudness(t) {
+        if (this._releasedAt === null || t < this._releasedAt) return this._levelAt(t);
+        const rel = this._preset.release;
+        return this._levelAt(this._releasedAt) * Math.max(0, 1 - (t - this._releasedAt) / rel);
+    }
+
+    // Shift every operator by `cents` (unison spread, portamento, pitch
+    // bend), gliding there over about `glide` seconds from `when`.
+    setDetune(cents, when = this.ctx.currentTime, glide = 0) {
+        for (const [osc, own] of this._tuned) {
+            if (glide > 0) osc.detune.setTargetAtTime(own + cents, when, glide / 3);
+            else osc.detune.setValueAtTime(own + cents, when);
+        }
+    }
+
+    // Mod wheel: vibrato of ± `cents` on the carriers, on top of the
+    // patch's own. The LFO is only built once the wheel is used.
+    setModulation(cents, when = this.ctx.currentTime) {
+        if (this._stopped) return;
+        if (!this._wheel) {
+            if (cents <= 0) return;
+            this._wheel = this._lfo(this.ctx, WHEEL_VIBRATO_RATE, 0);
+            for (const carr of this._carriers) this._wheel.connect(carr.detune);
+            if (this._started) this._oscs.at(-1).start(Math.max(when, this._t0));
+        }
+        this._wheel.gain.setTargetAtTime(cents, when, 0.03);
+    }
+
+    release(when = this.ctx.currentTime) {
         if (this._stopped) return;
         this._stopped = true;
-        const now = this.ctx.currentTime;
+        const now = Math.max(when, this._t0);
         const rel = this._preset.release;
         this._env.gain.cancelScheduledValues(now);
-        this._env.gain.setValueAtTime(this._env.gain.value, now);
+        this._env.gain.setValueAtTime(this._levelAt(now), now);
         this._env.gain.linearRampToValueAtTime(0, now + rel);
-        const stop = now + rel + 0.05;
-        for (const osc of this._oscs) osc.stop(stop);
+        this._releasedAt = now;
+        this.endTime = now + rel + 0.05;
+        for (const osc of this._oscs) osc.stop(this.endTime);
+    }
+
+    // Stolen: out in a few milliseconds, held or releasing.
+    fade(when = this.ctx.currentTime) {
+        const now = Math.max(when, this._t0);
+        if (now >= this.endTime) return;
+        this._env.gain.cancelScheduledValues(now);
+        this._env.gain.setValueAtTime(this.loudness(now), now);
+        this._env.gain.linearRampToValueAtTime(0, now + STEAL_FADE);
+        this._stopped = true;
+        this._releasedAt ??= now;
+        this.endTime = now + STEAL_FADE;
+        for (const osc of this._oscs) {
+            try { osc.stop(this.endTime + 0.01); } catch (_) { /* already stopped */ }
+        }
     }
 
     kill() {
         if (this._stopped) return;
         this._stopped = true;
+        this.endTime = this.ctx.currentTime;
         for (const osc of this._oscs) {
             try { osc.stop(); } catch (_) { /* already stopped */ }
         }
     }
 }
 
+// --- Sample voice ---
+// One note from soundfont regions (see sf2.js): each region's sample,
+// pitched from its root key, through its own filter, volume envelope
+// (delay, attack, hold, decay to sustain, release) and pan. Same
+// interface as Voice, so the engine and parts can hold either.
+
+const SAMPLE_GAIN = 0.6;
+
+class SampleVoice {
+    constructor(ctx, midi, velocity, regions, bufferFor, output, when = ctx.currentTime) {
+        this.ctx = ctx;
+        this._stopped = false;
+        this.endTime = Infinity;
+        this._releasedAt = null;
+        this._t0 = when;
+        this._layers = regions.map(reg => {
+            const src = ctx.createBufferSource();
+            src.buffer = bufferFor(reg);
+            const cents = (midi - reg.rootKey) * reg.scaleTuning + reg.tune;
+            src.playbackRate.value = 2 ** (cents / 1200);
+            if (reg.loop && reg.loopEnd > reg.loopStart) {
+                src.loop = true;
+                src.loopStart = reg.loopStart / reg.sampleRate;
+                src.loopEnd = reg.loopEnd / reg.sampleRate;
+            }
+
+            let node = src;
+            if (reg.filterFc < 19000) {
+                const filter = ctx.createBiquadFilter();
+                filter.type = 'lowpass';
+                filter.frequency.value = reg.filterFc;
+                filter.Q.value = reg.filterQ;
+                src.connect(filter);
+                node = filter;
+            }
+            const env = ctx.createGain();
+            env.gain.value = 0;
+            node.connect(env);
+            const pan = ctx.createStereoPanner();
+            pan.pan.value = reg.pan;
+            env.connect(pan);
+            pan.connect(output);
+
+            // Squared velocity curve (as GM synths), under the region's attenuation.
+            const peak = (velocity / 127) ** 2 * 10 ** (-reg.attenuation / 20) * SAMPLE_GAIN;
+            return { src, env, peak, e: reg.volEnv };
+        });
+        this._wheel = null;             // { lfo, depth } once the mod wheel is used
+    }
+
+    start() {
+        const t = this._t0;
+        for (const { src, env, peak, e } of this._layers) {
+            const attackAt = t + e.delay;
+            const holdEnd = attackAt + e.attack + e.hold;
+            env.gain.setValueAtTime(0, attackAt);
+            env.gain.linearRampToValueAtTime(peak, attackAt + e.attack);
+            env.gain.setValueAtTime(peak, holdEnd);
+            env.gain.setTargetAtTime(peak * e.sustain, holdEnd, e.decay / 5);
+            src.start(t);
+        }
+    }
+
+    // A layer's envelope level at time `t`, computed as Voice._levelAt does.
+    _levelAt({ peak, e }, t) {
+        const dt = t - this._t0 - e.delay;
+        if (dt <= 0) return 0;
+        if (dt < e.attack) return peak * (dt / e.attack);
+        const decaying = dt - e.attack - e.hold;
+        if (decaying <= 0) return peak;
+        const sustain = peak * e.sustain;
+        return sustain + (peak - sustain) * Math.exp(-decaying / (e.decay / 5));
+    }
+
+    // A layer's level at time `t`, release included.
+    _layerLoudness(layer, t) {
+        if (this._releasedAt === null || t < this._releasedAt) return this._levelAt(layer, t);
+        const decaying = t - this._releasedAt;
+        return this._levelAt(layer, this._releasedAt) * Math.exp(-decaying / (layer.e.release / 5));
+    }
+
+    // The loudest layer's level at time `t`.
+    loudness(t) {
+        return Math.max(...this._layers.map(layer => this._layerLoudness(layer, t)));
+    }
+
+    setDetune(cents, when = this.ctx.currentTime, glide = 0) {
+        for (const { src } of this._layers) {
+            if (glide > 0) src.detune.setTargetAtTime(cents, when, glide / 3);
+            else src.detune.setValueAtTime(cents, when);
+        }
+    }
+
+    setModulation(cents, when = this.ctx.currentTime) {
+        if (this._stopped) return;
+        if (!this._wheel) {
+            if (cents <= 0) return;
+            const lfo = this.ctx.createOscillator();
+            lfo.frequency.value = WHEEL_VIBRATO_RATE;
+            const depth = this.ctx.createGain();
+            depth.gain.value = 0;
+            lfo.connect(depth);
+            for (const { src } of this._layers) depth.connect(src.detune);
+            lfo.start(Math.max(when, this._t0));
+            this._wheel = { lfo, depth };
+        }
+        this._wheel.depth.gain.setTargetAtTime(cents, when, 0.03);
+    }
+
+    // The mod wheel's LFO ends with the voice.
+    _stopWheel(at) {
+        try { this._wheel?.lfo.stop(at); } catch (_) { /* already stopped */ }
+    }
+
+    release(when = this.ctx.currentTime) {
+        if (this._stopped) return;
+        this._stopped = true;
+        const now = Math.max(when, this._t0);
+        this._releasedAt = now;
+        this.endTime = now;
+        for (const layer of this._layers) {
+            const { src, env, e } = layer;
+            env.gain.cancelScheduledValues(now);
+            env.gain.setValueAtTime(this._levelAt(layer, now), now);
+            env.gain.setTargetAtTime(0, now, e.release / 5);
+            src.stop(now + e.release + 0.05);
+            this.endTime = Math.max(this.endTime, now + e.release + 0.05);
+        }
+        this._stopWheel(this.endTime);
+    }
+
+    fade(when = this.ctx.currentTime) {
+        const now = Math.max(when, this._t0);
+        if (now >= this.endTime) return;
+        for (const layer of this._layers) {
+            const { src, env } = layer;
+            env.gain.cancelScheduledValues(now);
+            env.gain.setValueAtTime(this._layerLoudness(layer, now), now);
+            env.gain.linearRampToValueAtTime(0, now + STEAL_FADE);
+            try { src.stop(now + STEAL_FADE + 0.01); } catch (_) { /* already stopped */ }
+        }
+        this._stopped = true;
+        this._releasedAt ??= now;
+        this.endTime = now + STEAL_FADE;
+        this._stopWheel(this.endTime + 0.01);
+    }
+
+    kill() {
+        if (this._stopped) return;
+        this._stopped = true;
+        this.endTime = this.ctx.currentTime;
+        for (const { src } of this._layers) {
+            try { src.stop(); } catch (_) { /* already stopped */ }
+        }
+        this._stopWheel();
+    }
+}
+
 // --- Audio engine ---
-// Signal chain (matches native app architecture):
-//   Voices → Bus → EQ (3-band) → Distortion → Dry + Reverb → Master → Compressor → Out
+// Signal chain:
+//   Voices → Bus → Effects rack → Master → Compressor → Out
+// The rack's defaults match the native app's EQ → distortion → reverb.
+// The metronome click skips the instrument chain: Click → Compressor → Out.
+// Parts (looper layers) each get a chain of their own up to the master.
 
 export class AudioEngine {
     constructor() {
         this.ctx = null;
-        this._voices = new Map();
+        this._realtime = false;
+        this._voices = null;                // VoiceAllocator, once there is a context
+        this.voicing = defaultVoicing();    // shared with every part (see voices.js)
+        this.bendRange = 2;                 // pitch wheel range, semitones
+        this.pitchBend = 0;                 // −1…1
+        this.modWheel = 0;                  // 0–1
+
+        // Pedals: releases of held-over notes are deferred until lift.
+        this._sustain = false;
+        this._sostenutoNotes = new Set();   // caught when sostenuto went down
+        this._sostenuto = false;
+        this._deferred = new Set();         // released keys still sounding
         this.instrument = 'grandPiano';
+        this.clickVolume = 0.5;             // 0–1
+        this.drumVolume = 0.8;              // 0–1
+
+        // Soundfont (from sf2.js) and the GM program each instrument plays
+        // from it; null = that instrument keeps its FM voice.
+        this.soundFont = null;
+        this.programs = Object.fromEntries(INSTRUMENT_LIST.map(k => [k, INSTRUMENTS[k].program]));
+        this._sampleBuffers = new Map();    // region sample span → AudioBuffer
+
+        // Effects rack settings per instrument; `bpm` times synced delays.
+        this.effects = Object.fromEntries(INSTRUMENT_LIST.map(k => [k, defaultRack(INSTRUMENTS[k])]));
+        this.bpm = 120;
+        this._parts = new Set();
+        this._openHat = null;               // gain of the ringing open hat, for choking
     }
 
     init() {
         if (this.ctx) return;
-        this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+        this._build(new (window.AudioContext || window.webkitAudioContext)());
+        this._realtime = true;
+    }
+
+    // Build the signal chain on any BaseAudioContext (realtime or offline).
+    _build(ctx) {
+        this.ctx = ctx;
 
         // --- Final output ---
         this._comp = this.ctx.createDynamicsCompressor();
@@ -218,63 +564,47 @@ export class AudioEngine {
         this._master.gain.value = 0.6;
         this._master.connect(this._comp);
 
-        // --- Reverb (convolver with synthesised room impulse) ---
-        this._reverb = this._makeReverb();
-        this._reverbSend = this.ctx.createGain();
-        this._reverbSend.gain.value = 0.32;
-        this._reverbSend.connect(this._reverb);
-        this._reverb.connect(this._master);
+        // --- Metronome click (dry, unaffected by the instrument) ---
+        this._clickOut = this.ctx.createGain();
+        this._clickOut.connect(this._comp);
 
-        // --- Dry path ---
-        this._dry = this.ctx.createGain();
-        this._dry.gain.value = 0.68;
-        this._dry.connect(this._master);
-
-        // --- Distortion ---
-        this._dist = this.ctx.createWaveShaper();
-        this._dist.oversample = '4x';
-        this._dist.curve = softClipCurve(0);
-        this._distOut = this.ctx.createGain();
-        this._distOut.gain.value = 1;
-        this._dist.connect(this._distOut);
-        this._distOut.connect(this._dry);
-        this._distOut.connect(this._reverbSend);
-
-        // --- 3-band EQ (matching native app) ---
-        // Band 1: high-pass at 60 Hz – removes rumble
-        this._eqHP = this.ctx.createBiquadFilter();
-        this._eqHP.type = 'highpass';
-        this._eqHP.frequency.value = 60;
-        this._eqHP.Q.value = 0.7;
-
-        // Band 2: parametric dip at 320 Hz, −2 dB – reduces mud
-        this._eqMid = this.ctx.createBiquadFilter();
-        this._eqMid.type = 'peaking';
-        this._eqMid.frequency.value = 320;
-        this._eqMid.Q.value = 1.1;
-        this._eqMid.gain.value = -2;
-
-        // Band 3: parametric boost at 2.8 kHz, +2 dB – adds presence
-        this._eqPres = this.ctx.createBiquadFilter();
-        this._eqPres.type = 'peaking';
-        this._eqPres.frequency.value = 2800;
-        this._eqPres.Q.value = 0.8;
-        this._eqPres.gain.value = 2;
-
-        this._eqHP.connect(this._eqMid);
-        this._eqMid.connect(this._eqPres);
-        this._eqPres.connect(this._dist);
-
-        // --- Voice bus ---
-        this._bus = this.ctx.createGain();
-        this._bus.gain.value = 1;
-        this._bus.connect(this._eqHP);
+        // --- Drums (dry, with a little room; no instrument effects) ---
+        this._reverb = this.ctx.createConvolver();
+        this._reverb.buffer = makeImpulse(this.ctx);
+        this._reverb.connect(this._master);
+        this._noise = this._makeNoise();
+        this._drumOut = this.ctx.createGain();
+        this._drumOut.connect(this._master);
+        const drumSend = this.ctx.createGain();
+        drumSend.gain.value = 0.12;
+        this._drumOut.connect(drumSend);
+        drumSend.connect(this._reverb);
+
+        // --- Live instrument chain ---
+        this._chain = this._buildChain();
+        this._bus = this._chain.bus;
+        this._voices = new VoiceAllocator(this.ctx,
+            (midi, velocity, when) => this._makeVoice(this.instrument, midi, velocity, this._bus, when),
+            this.voicing);
+        // Wheels moved before there was sound.
+        this.setPitchBend(this.pitchBend);
+        this.setModWheel(this.modWheel);
 
         this._applyInstrument();
     }
 
+    // One instrument chain: Bus → effects rack → master.
+    // Returns { bus, rack }.
+    _buildChain() {
+        const bus = this.ctx.createGain();
+        const rack = new EffectsRack(this.ctx);
+        bus.connect(rack.input);
+        rack.output.connect(this._master);
+        return { bus, rack };
+    }
+
     resume() {
-        if (this.ctx?.state === 'suspended') this.ctx.resume();
+        if (this._realtime && this.ctx.state === 'suspended') this.ctx.resume();
     }
 
     setInstrument(name) {
@@ -283,63 +613,376 @@ export class AudioEngine {
     }
 
     _applyInstrument() {
-        const p = INSTRUMENTS[this.instrument] ?? INSTRUMENTS.grandPiano;
-        this._reverbSend.gain.value = p.reverb;
-        this._dry.gain.value = 1 - p.reverb;
-        this._dist.curve = p.distortion > 0
-            ? softClipCurve(p.distortion)
-            : softClipCurve(0);
+        this._chain.rack.apply(this.effectsFor(this.instrument), this.bpm);
+    }
+
+    // --- Effects ---
+
+    // Instruments registered later (saved patches) get their rack on first use.
+    effectsFor(instrument) {
+        return this.effects[instrument] ??= defaultRack(INSTRUMENTS[instrument] ?? INSTRUMENTS.grandPiano);
     }
 
-    noteOn(midi, velocity = 80) {
+    // New rack settings for `instrument`, heard at once on the live chain
+    // and on every part playing it.
+    setEffects(instrument, settings) {
+        this.effects[instrument] = settings;
+        if (!this.ctx) return;
+        if (instrument === this.instrument) this._applyInstrument();
+        for (const part of this._parts) {
+            if (part.instrument === instrument) part.setInstrument(instrument);
+        }
+    }
+
+    // Tempo for synced delays.
+    setTempo(bpm) {
+        this.bpm = bpm;
+        if (!this.ctx) return;
+        this._applyInstrument();
+        for (const part of this._parts) part.setInstrument(part.instrument);
+    }
+
+    // --- Soundfont ---
+
+    // Play instruments from `font` (see sf2.js), or FM again for null.
+    setSoundFont(font) {
+        this.soundFont = font;
+        this._sampleBuffers.clear();
+    }
+
+    // The GM program `instrument` plays from the soundfont (null for FM).
+    setProgram(instrument, program) {
+        this.programs[instrument] = program;
+    }
+
+    // The soundfont preset `instrument` plays, or null when it is FM.
+    presetFor(instrument) {
+        const program = this.programs[instrument];
+        if (!this.soundFont || program === null || program === undefined) return null;
+        return findPreset(this.soundFont, program);
+    }
+
+    // A voice of `instrument`: samples when its preset covers the note,
+    // else FM. Not started yet.
+    _makeVoice(instrument, midi, velocity, output, when) {
+        const preset = this.presetFor(instrument);
+        const regions = preset ? regionsFor(preset, midi, velocity) : [];
+        if (regions.length) {
+            return new SampleVoice(this.ctx, midi, velocity, regions, reg => this._sampleBuffer(reg), output, when);
+        }
+        return new Voice(this.ctx, midi, velocity, INSTRUMENTS[instrument] ?? INSTRUMENTS.grandPiano, output, when);
+    }
+
+    // A region's sample as an AudioBuffer, converted once per span.
+    _sampleBuffer(reg) {
+        const key = `${reg.start}:${reg.end}:${reg.sampleRate}`;
+        let buf = this._sampleBuffers.get(key);
+        if (!buf) {
+            const pcm = this.soundFont.samples.subarray(reg.start, reg.end);
+            buf = this.ctx.createBuffer(1, pcm.length, reg.sampleRate);
+            const d = buf.getChannelData(0);
+            for (let i = 0; i < pcm.length; i++) d[i] = pcm[i] / 32768;
+            this._sampleBuffers.set(key, buf);
+        }
+        return buf;
+    }
+
+    // A second instrument with its own chain and voices, sounding alongside
+    // the live one (looper layers).
+    createPart(instrument) {
+        this.init();
+        const part = new Part(this, instrument);
+        this._parts.add(part);
+        return part;
+    }
+
+    // Polyphony, stealing, mono / legato, glide and unison (see voices.js),
+    // for the live instrument and every part. Heard from the next note.
+    setVoicing(settings) {
+        Object.assign(this.voicing, settings);
+    }
+
+    // --- Wheels ---
+    // They reach every voice of the live instrument, held or releasing;
+    // looper layers replay without them.
+
+    // Pitch wheel, −1…1 of `bendRange` semitones.
+    setPitchBend(value) {
+        this.pitchBend = Math.max(-1, Math.min(1, value));
+        this._voices?.setBend(this.pitchBend * this.bendRange * 100);
+    }
+
+    // Mod wheel, 0–1: vibrato up to MOD_DEPTH cents.
+    setModWheel(value) {
+        this.modWheel = Math.max(0, Math.min(1, value));
+        this._voices?.setModulation(this.modWheel * MOD_DEPTH);
+    }
+
+    // Bend a single held note by `cents` (the touch pad's glide).
+    bendNote(midi, cents) {
+        this._voices?.bendNote(midi, cents);
+    }
+
+    // `when` (context time) schedules ahead; omitted means now.
+    noteOn(midi, velocity = 80, when) {
         this.init();
         this.resume();
-        this.noteOff(midi);
-        const p = INSTRUMENTS[this.instrument] ?? INSTRUMENTS.grandPiano;
-        const v = new Voice(this.ctx, midi, velocity, p, this._bus);
-        v.start();
-        this._voices.set(midi, v);
+        // Re-strike: the old voice fades out with its own release tail
+        // (even if a pedal was holding it) while the new one starts.
+        this._deferred.delete(midi);
+        this._voices.noteOn(midi, velocity, when);
     }
 
-    noteOff(midi) {
-        const v = this._voices.get(midi);
-        if (!v) return;
-        v.release();
-        this._voices.delete(midi);
+    noteOff(midi, when) {
+        if (!this._voices?.has(midi)) return;
+        if (this._sustain || this._sostenutoNotes.has(midi)) {
+            this._deferred.add(midi);
+            return;
+        }
+        this._releaseVoice(midi, when);
     }
 
-    panic() {
-        for (const v of this._voices.values()) v.kill();
-        this._voices.clear();
+    _releaseVoice(midi, when) {
+        this._deferred.delete(midi);
+        this._voices.noteOff(midi, when);
     }
 
-    // Synthesise a room impulse response.
-    // Longer tail (3 s) with exponential decay and gentle high-frequency
-    // roll-off so the reverb sounds warm rather than hissy.
-    _makeReverb() {
-        const dur = 3.0;
-        const rate = this.ctx.sampleRate;
-        const len = Math.floor(rate * dur);
-        const buf = this.ctx.createBuffer(2, len, rate);
-
-        for (let ch = 0; ch < 2; ch++) {
-            const d = buf.getChannelData(ch);
-            for (let i = 0; i < len; i++) {
-                const t = i / rate;
-                const env = Math.exp(-3.5 * t / dur);
-                d[i] = (Math.random() * 2 - 1) * env;
+    // --- Pedals ---
+
+    get sustain() { return this._sustain; }
+
+    get sostenuto() { return this._sostenuto; }
+
+    // Notes whose key is up but which a pedal keeps sounding.
+    get deferredNotes() { return this._deferred; }
+
+    // Sustain (damper): every note released while down keeps ringing.
+    setSustain(down) {
+        this._sustain = down;
+        if (!down) this._flushDeferred();
+    }
+
+    // Sostenuto: only notes already sounding (and still held) when the
+    // pedal goes down are kept; later notes play normally.
+    setSostenuto(down) {
+        this._sostenuto = down;
+        this._sostenutoNotes.clear();
+        if (down) {
+            for (const midi of this._voices?.notes ?? []) {
+                if (!this._deferred.has(midi)) this._sostenutoNotes.add(midi);
             }
-            // Three averaging passes → crude lowpass that darkens the tail
-            // (real rooms absorb high frequencies over distance).
-            for (let pass = 0; pass < 4; pass++) {
-                for (let i = 1; i < len - 1; i++) {
-                    d[i] = (d[i - 1] + d[i] * 2 + d[i + 1]) * 0.25;
+        } else {
+            this._flushDeferred();
+        }
+    }
+
+    _flushDeferred() {
+        for (const midi of [...this._deferred]) {
+            if (this._sustain || this._sostenutoNotes.has(midi)) continue;
+            this._releaseVoice(midi);
+        }
+    }
+
+    // --- Metronome ---
+
+    // One click at context time `when`: a short pitched blip, higher and
+    // louder on the accented downbeat.
+    click(when, accent = false) {
+        this.init();
+        this.resume();
+        const t = Math.max(when ?? this.ctx.currentTime, this.ctx.currentTime);
+        const osc = this.ctx.createOscillator();
+        osc.type = 'triangle';
+        osc.frequency.value = accent ? 1760 : 1320;
+        const env = this.ctx.createGain();
+        const peak = this.clickVolume * (accent ? 0.9 : 0.55);
+        env.gain.setValueAtTime(0.0001, t);
+        env.gain.linearRampToValueAtTime(Math.max(0.0001, peak), t + 0.002);
+        env.gain.exponentialRampToValueAtTime(0.0001, t + 0.05);
+        osc.connect(env);
+        env.connect(this._clickOut);
+        osc.start(t);
+        osc.stop(t + 0.06);
+    }
+
+    // --- Drums ---
+
+    // One hit of a DRUM_VOICES pad at context time `when` (now if omitted).
+    drum(pad, velocity = 100, when) {
+        const voice = DRUM_VOICES[pad];
+        if (!voice) return;
+        this.init();
+        this.resume();
+        const t = Math.max(when ?? this.ctx.currentTime, this.ctx.currentTime);
+        const level = (velocity / 127) * this.drumVolume;
+
+        switch (pad) {
+            case 'kick':
+                // Sine body pitched down fast, plus a short bright click.
+                this._drumTone('sine', 150, 45, 0.12, t, level, 0.45);
+                this._drumNoise('highpass', 3000, 0.7, t, level * 0.25, 0.012);
+                break;
+            case 'snare':
+                this._drumTone('triangle', 190, 160, 0.05, t, level * 0.6, 0.12);
+                this._drumNoise('highpass', 1800, 0.7, t, level * 0.7, 0.2);
+                break;
+            case 'closedHat':
+                this._chokeOpenHat(t);
+                this._drumNoise('highpass', 7500, 0.9, t, level * 0.45, 0.05);
+                break;
+            case 'openHat':
+                this._chokeOpenHat(t);
+                this._openHat = this._drumNoise('highpass', 7000, 0.9, t, level * 0.4, 0.4);
+                break;
+            case 'clap':
+                // Three quick bursts then a tail, like several hands at once.
+                for (const offset of [0, 0.011, 0.023]) {
+                    this._drumNoise('bandpass', 1200, 1.2, t + offset, level * 0.7, 0.015);
                 }
-            }
+                this._drumNoise('bandpass', 1200, 1.2, t + 0.03, level * 0.6, 0.18);
+                break;
+            default:
+                // Toms: a sine that settles onto its pitch, with a touch of noise.
+                this._drumTone('sine', voice.pitch * 1.6, voice.pitch, 0.1, t, level, 0.5);
+                this._drumNoise('lowpass', 2500, 0.7, t, level * 0.12, 0.04);
         }
+    }
+
+    // Oscillator sweeping `from` → `to` Hz over `sweep` seconds, decaying
+    // from `peak` over `decay` seconds.
+    _drumTone(type, from, to, sweep, t, peak, decay) {
+        const osc = this.ctx.createOscillator();
+        osc.type = type;
+        osc.frequency.setValueAtTime(from, t);
+        osc.frequency.exponentialRampToValueAtTime(to, t + sweep);
+        const env = this._drumEnvelope(t, peak, decay);
+        osc.connect(env);
+        osc.start(t);
+        osc.stop(t + decay + 0.02);
+    }
+
+    // Filtered noise burst; returns its envelope gain.
+    _drumNoise(type, freq, q, t, peak, decay) {
+        const src = this.ctx.createBufferSource();
+        src.buffer = this._noise;
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = freq;
+        filter.Q.value = q;
+        const env = this._drumEnvelope(t, peak, decay);
+        src.connect(filter);
+        filter.connect(env);
+        src.start(t);
+        src.stop(t + decay + 0.02);
+        return env;
+    }
+
+    _drumEnvelope(t, peak, decay) {
+        const env = this.ctx.createGain();
+        env.gain.setValueAtTime(0.0001, t);
+        env.gain.linearRampToValueAtTime(Math.max(0.0001, peak), t + 0.002);
+        env.gain.exponentialRampToValueAtTime(0.0001, t + decay);
+        env.connect(this._drumOut);
+        return env;
+    }
+
+    // A hat hit cuts off an open hat still ringing, as on a real kit.
+    _chokeOpenHat(t) {
+        const env = this._openHat;
+        if (!env) return;
+        env.gain.cancelScheduledValues(t);
+        env.gain.setTargetAtTime(0.0001, t, 0.01);
+        this._openHat = null;
+    }
+
+    // Render note events ({ time, type, note, velocity }, seconds) with the
+    // current instrument through the full chain on an OfflineAudioContext,
+    // faster than realtime. Resolves to an AudioBuffer including `tail`
+    // seconds after the last event for releases and reverb.
+    async renderOffline(events, { sampleRate = 44100, tail = 2.5 } = {}) {
+        const end = events.reduce((t, e) => Math.max(t, e.time), 0) + tail;
+        const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const ctx = new Offline(2, Math.ceil(end * sampleRate), sampleRate);
+
+        const engine = new AudioEngine();
+        engine.instrument = this.instrument;
+        engine.soundFont = this.soundFont;
+        engine.programs = { ...this.programs };
+        engine.effects = this.effects;
+        engine.bpm = this.bpm;
+        engine.voicing = { ...this.voicing };
+        engine._build(ctx);
+        for (const e of events) {
+            if (e.type === 'on') engine.noteOn(e.note, e.velocity, e.time);
+            else engine.noteOff(e.note, e.time);
+        }
+        return ctx.startRendering();
+    }
+
+    panic() {
+        this._voices?.kill();
+        this._deferred.clear();
+        this._sostenutoNotes.clear();
+    }
+
+    // One second of white noise shared by every drum hit.
+    _makeNoise() {
+        const rate = this.ctx.sampleRate;
+        const buf = this.ctx.createBuffer(1, rate, rate);
+        const d = buf.getChannelData(0);
+        const random = seededRandom(0xD0D0);
+        for (let i = 0; i < d.length; i++) d[i] = random() * 2 - 1;
+        return buf;
+    }
+}
+
+// --- Part ---
+// An instrument of its own — chain, voices and level — for notes that are
+// scheduled rather than played live. No pedals: a part's note events
+// already carry their full lengths.
+
+export class Part {
+    constructor(engine, instrument) {
+        this.ctx = engine.ctx;
+        this._engine = engine;
+        this._chain = engine._buildChain();
+        this._voices = new VoiceAllocator(this.ctx,
+            (midi, velocity, when) => engine._makeVoice(this.instrument, midi, velocity, this._chain.bus, when),
+            engine.voicing);
+        this.setInstrument(instrument);
+    }
+
+    get volume() { return this._chain.bus.gain.value; }
+
+    set volume(value) {
+        this._chain.bus.gain.value = Math.max(0, Math.min(1.5, value));
+    }
+
+    setInstrument(name) {
+        this.instrument = name;
+        this._chain.rack.apply(this._engine.effectsFor(name), this._engine.bpm);
+    }
+
+    noteOn(midi, velocity = 80, when) {
+        this._voices.noteOn(midi, velocity, when);
+    }
+
+    noteOff(midi, when) {
+        this._voices.noteOff(midi, when);
+    }
+
+    // Let every voice fade with its release tail.
+    allNotesOff() {
+        this._voices.releaseAll();
+    }
+
+    panic() {
+        this._voices.kill();
+    }
 
-        const conv = this.ctx.createConvolver();
-        conv.buffer = buf;
-        return conv;
+    disconnect() {
+        this.panic();
+        this._chain.rack.disconnect();
+        this._engine._parts.delete(this);
     }
 }
@@ -0,0 +1,110 @@
+// clock.js — Look-ahead tempo clock on AudioContext.currentTime.
+//
+// A short setInterval wakes up every few milliseconds and hands out every
+// grid step that falls inside the look-ahead window, together with its
+// exact context time. Subscribers schedule audio at that time, so timing
+// is sample-accurate no matter how late the timer itself fires.
+//
+// Beat positions are kept against an anchor (time ↔ beat), so changing
+// the tempo mid-stream bends the grid from "now" without a jump.
+
+const LOOKAHEAD = 0.12;     // seconds of audio scheduled ahead
+const INTERVAL_MS = 25;     // how often the scheduler wakes up
+
+export class Clock {
+    // `getContext` returns the (initialised) AudioContext to follow.
+    constructor(getContext) {
+        this._getContext = getContext;
+        this._bpm = 120;
+        this.swing = 0.5;           // 0.5 = straight, ~0.67 = triplet shuffle
+        this._subs = new Set();
+        this._timer = null;
+        this._anchorTime = 0;
+        this._anchorBeat = 0;
+    }
+
+    get running() { return this._timer !== null; }
+
+    get now() { return this._getContext().currentTime; }
+
+    get bpm() { return this._bpm; }
+
+    set bpm(value) {
+        const bpm = Math.max(20, Math.min(300, value));
+        if (this.running) {
+            const t = this.now;
+            this._anchorBeat = this.beatAt(t);
+            this._anchorTime = t;
+        }
+        this._bpm = bpm;
+        if (this.running) {
+            for (const sub of this._subs) sub.nextTime = this._nextTime(sub);
+        }
+    }
+
+    get secondsPerBeat() { return 60 / this._bpm; }
+
+    beatAt(time) {
+        return this._anchorBeat + (time - this._anchorTime) / this.secondsPerBeat;
+    }
+
+    timeAt(beat) {
+        return this._anchorTime + (beat - this._anchorBeat) * this.secondsPerBeat;
+    }
+
+    // Call `callback(step, time, stepSeconds)` for every step of a grid with
+    // `division` steps per beat (2 = 8ths, 4 = 16ths, 3 = triplets), ahead
+    // of time. `step` counts from beat 0 of the clock, so grids of different
+    // subscribers line up. Returns an unsubscribe function.
+    every(division, callback, { swing = true } = {}) {
+        const sub = { division, callback, swing, step: 0, nextTime: 0, lastTime: -Infinity };
+        if (!this.running) this._start();
+        const t = this.now;
+        sub.step = Math.ceil(this.beatAt(t) * division - 1e-9);
+        sub.nextTime = this._nextTime(sub);
+        this._subs.add(sub);
+        return () => {
+            this._subs.delete(sub);
+            if (!this._subs.size) this._stop();
+        };
+    }
+
+    // Swing delays every odd step of 8th/16th grids; 0.5 leaves them straight.
+    _stepTime(sub, step) {
+        let beat = step / sub.division;
+        if (sub.swing && step % 2 === 1 && (sub.division === 2 || sub.division === 4)) {
+            beat += (this.swing - 0.5) * 2 / sub.division;
+        }
+        return this.timeAt(beat);
+    }
+
+    // Time of the subscriber's pending step, never before one already
+    // handed out (a tempo jump must not reorder steps).
+    _nextTime(sub) {
+        return Math.max(sub.lastTime, this._stepTime(sub, sub.step));
+    }
+
+    _start() {
+        this._anchorTime = this.now;
+        this._anchorBeat = 0;
+        this._timer = setInterval(() => this._schedule(), INTERVAL_MS);
+    }
+
+    _stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+    }
+
+    _schedule() {
+        const horizon = this.now + LOOKAHEAD;
+        for (const sub of this._subs) {
+            while (sub.nextTime < horizon && this._subs.has(sub)) {
+                const stepSeconds = this.secondsPerBeat / sub.division;
+                sub.callback(sub.step, sub.nextTime, stepSeconds);
+                sub.lastTime = sub.nextTime;
+                sub.step++;
+                sub.nextTime = this._nextTime(sub);
+            }
+        }
+    }
+}
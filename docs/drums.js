@@ -0,0 +1,174 @@
+// drums.js — 16-step drum pattern sequencer.
+//
+// A pattern is { name, swing, steps: { <pad>: [velocity × 16] } } where a
+// velocity of 0 is a rest. Steps are 16ths on the shared Clock, counted
+// from its beat 0, so a running pattern lines up with the click, chugs and
+// the arpeggiator and follows the same BPM. Edited patterns are kept in
+// localStorage; the sounds themselves live in audio.js (DRUM_VOICES).
+
+import { DRUM_VOICES } from './audio.js';
+import { defaultStorage, saveJson } from './storage.js';
+
+const STORAGE_KEY = 'making-music.drums';
+export const STEPS = 16;
+const STEPS_PER_BEAT = 4;
+
+export const DRUM_PADS = Object.keys(DRUM_VOICES);
+
+// Number-row keys that play the pads when "Pads on number row" is on.
+export const PAD_KEYS = Object.fromEntries(DRUM_PADS.map((pad, i) => [String(i + 1), pad]));
+
+// A click on a step cycles through these: rest, normal, accent, ghost.
+export const STEP_LEVELS = [0, 100, 127, 60];
+
+// Patterns written one line per pad: `X` accent, `x` normal, `o` ghost.
+const LEVEL_CHARS = { X: 127, x: 100, o: 60 };
+
+function pattern(name, lines, swing = 0.5) {
+    const steps = {};
+    for (const pad of DRUM_PADS) {
+        const line = (lines[pad] ?? '').padEnd(STEPS, '.');
+        steps[pad] = Array.from(line.slice(0, STEPS), ch => LEVEL_CHARS[ch] ?? 0);
+    }
+    return { name, swing, steps };
+}
+
+export const DEFAULT_PATTERNS = [
+    pattern('Rock', {
+        kick:      'X.....x.X.x.....',
+        snare:     '....X.......X...',
+        closedHat: 'x.x.x.x.x.x.x.x.',
+    }),
+    pattern('Half-time', {
+        kick:      'X.........x.....',
+        snare:     '........X.......',
+        closedHat: 'x.o.x.o.x.o.x.o.',
+        openHat:   '..............x.',
+    }),
+    pattern('Four on the Floor', {
+        kick:      'X...X...X...X...',
+        clap:      '....x.......x...',
+        closedHat: 'x.x.x.x.x.x.x.x.',
+        openHat:   '..x...x...x...x.',
+    }),
+    pattern('Shuffle', {
+        kick:      'X.....x.X.......',
+        snare:     '....X..o....X..o',
+        closedHat: 'x..xx..xx..xx..x',
+    }, 0.66),
+    pattern('Tom Groove', {
+        kick:      'X..x..X...x.....',
+        snare:     '....X.......X...',
+        highTom:   '..........x.....',
+        midTom:    '...........x.x..',
+        lowTom:    '..............xx',
+        closedHat: 'x.x.x.x.x.x.....',
+    }),
+];
+
+function clonePattern(p) {
+    return { name: p.name, swing: p.swing, steps: Object.fromEntries(DRUM_PADS.map(k => [k, [...p.steps[k]]])) };
+}
+
+function isPattern(p) {
+    return typeof p?.name === 'string'
+        && typeof p.swing === 'number' && p.swing >= 0.5 && p.swing <= 0.75
+        && DRUM_PADS.every(k => Array.isArray(p.steps?.[k]) && p.steps[k].length === STEPS
+            && p.steps[k].every(v => Number.isInteger(v) && v >= 0 && v <= 127));
+}
+
+export class DrumSequencer {
+    // `hit(pad, velocity, time)` sounds a pad at context time `time`.
+    constructor(clock, hit, storage = defaultStorage()) {
+        this.clock = clock;
+        this._hit = hit;
+        this._storage = storage;
+        this.patterns = this._load();
+        this.current = 0;               // index into patterns
+        this.queued = null;             // pattern to switch to on the next bar
+        this.onStep = null;             // (step, time) → void, for the UI
+        this._unsub = null;
+    }
+
+    get playing() { return this._unsub !== null; }
+
+    get pattern() { return this.patterns[this.current]; }
+
+    start() {
+        if (this._unsub) return;
+        this._unsub = this.clock.every(STEPS_PER_BEAT, (step, time, stepSeconds) => {
+            this._step(step, time, stepSeconds);
+        }, { swing: false });
+    }
+
+    stop() {
+        this._unsub?.();
+        this._unsub = null;
+        if (this.queued !== null) this.current = this.queued;
+        this.queued = null;
+    }
+
+    // Switch pattern: at once when stopped, on the next bar when playing.
+    select(index) {
+        if (index < 0 || index >= this.patterns.length) return;
+        if (this.playing && index !== this.current) this.queued = index;
+        else this.current = index;
+    }
+
+    // Advance one step of a pad through STEP_LEVELS. Returns the new velocity.
+    cycleStep(pad, i) {
+        const steps = this.pattern.steps[pad];
+        const at = STEP_LEVELS.indexOf(steps[i]);
+        steps[i] = STEP_LEVELS[(at + 1) % STEP_LEVELS.length];
+        this._persist();
+        return steps[i];
+    }
+
+    setSwing(swing) {
+        this.pattern.swing = Math.max(0.5, Math.min(0.75, swing));
+        this._persist();
+    }
+
+    // Back to the built-in version of the current pattern.
+    resetPattern() {
+        const builtIn = DEFAULT_PATTERNS[this.current];
+        if (builtIn) this.patterns[this.current] = clonePattern(builtIn);
+        this._persist();
+    }
+
+    // One 16th: switch a queued pattern on the downbeat, then play every
+    // pad set on this step. Odd 16ths are pushed late by the swing.
+    _step(step, time, stepSeconds) {
+        const i = step % STEPS;
+        if (i === 0 && this.queued !== null) {
+            this.current = this.queued;
+            this.queued = null;
+        }
+        const p = this.pattern;
+        const at = i % 2 ? time + (p.swing - 0.5) * 2 * stepSeconds : time;
+        for (const pad of DRUM_PADS) {
+            const vel = p.steps[pad][i];
+            if (vel > 0) this._hit(pad, vel, at);
+        }
+        this.onStep?.(i, at);
+    }
+
+    _load() {
+        const patterns = DEFAULT_PATTERNS.map(clonePattern);
+        try {
+            const data = JSON.parse(this._storage?.getItem(STORAGE_KEY) ?? '[]');
+            if (Array.isArray(data)) {
+                data.forEach((p, i) => {
+                    if (i < patterns.length && isPattern(p)) patterns[i] = clonePattern(p);
+                });
+            }
+        } catch (_) {
+            // Unreadable: start from the built-in patterns.
+        }
+        return patterns;
+    }
+
+    _persist() {
+        saveJson(this._storage, STORAGE_KEY, this.patterns);
+    }
+}
@@ -0,0 +1,510 @@
+// effects.js — Effects rack: what every effect's knobs are, each
+// instrument's default settings, the Web Audio units behind them, and the
+// racks the user has edited (kept in localStorage).
+//
+// A rack's settings are { order, <effect>: { on, ...params } } with every
+// effect of EFFECTS present. `order` is the signal path from the voice bus
+// to the output; effects that are off are left out of it. Parameter values
+// are in the units EFFECTS lists (Hz, dB, ms, %), toggles are booleans and
+// choices are one of their option values.
+
+import { defaultStorage, saveJson } from './storage.js';
+
+// --- Shared DSP helpers ---
+
+// Small seeded PRNG (mulberry32) so synthesised impulses are identical on
+// every run and offline renders are reproducible.
+export function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function softClipCurve(amount) {
+    const k = amount * 100;
+    const n = 44100;
+    const curve = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+        const x = (i * 2) / n - 1;
+        curve[i] = ((1 + k) * x) / (1 + k * Math.abs(x));
+    }
+    return curve;
+}
+
+// Synthesise a room impulse response `size` seconds long whose tail falls
+// 60 dB in `decay` seconds. Gentle high-frequency roll-off keeps it warm
+// rather than hissy. The last few impulses are cached per context.
+const impulses = new WeakMap();
+const IMPULSE_CACHE = 6;
+
+export function makeImpulse(ctx, size = 3, decay = 5.9) {
+    if (!impulses.has(ctx)) impulses.set(ctx, new Map());
+    const cache = impulses.get(ctx);
+    const key = `${size}:${decay}`;
+    if (cache.has(key)) return cache.get(key);
+
+    const rate = ctx.sampleRate;
+    const len = Math.floor(rate * size);
+    const buf = ctx.createBuffer(2, len, rate);
+    const random = seededRandom(0x5EED);
+
+    for (let ch = 0; ch < 2; ch++) {
+        const d = buf.getChannelData(ch);
+        for (let i = 0; i < len; i++) {
+            const env = 10 ** (-3 * (i / rate) / decay);
+            d[i] = (random() * 2 - 1) * env;
+        }
+        // Averaging passes → crude lowpass that darkens the tail
+        // (real rooms absorb high frequencies over distance).
+        for (let pass = 0; pass < 4; pass++) {
+            for (let i = 1; i < len - 1; i++) {
+                d[i] = (d[i - 1] + d[i] * 2 + d[i + 1]) * 0.25;
+            }
+        }
+    }
+    if (cache.size >= IMPULSE_CACHE) cache.delete(cache.keys().next().value);
+    cache.set(key, buf);
+    return buf;
+}
+
+// --- Effects ---
+// Each parameter is a range { min, max, step, unit }, a toggle
+// { toggle: true } or a choice { options: [[value, label]] }, with its
+// default.
+
+export const DELAY_DIVISIONS = [
+    [0.25, '1/16'],
+    [0.5, '1/8'],
+    [0.75, 'Dotted 1/8'],
+    [1, '1/4'],
+    [1.5, 'Dotted 1/4'],
+    [2, '1/2'],
+];
+
+export const EFFECTS = {
+    eq: {
+        name: 'EQ',
+        params: {
+            lowCut:   { name: 'Low Cut',  min: 20, max: 400, step: 5, unit: 'Hz', default: 60 },
+            midFreq:  { name: 'Mid',      min: 150, max: 2000, step: 10, unit: 'Hz', default: 320 },
+            midGain:  { name: 'Mid Gain', min: -12, max: 12, step: 0.5, unit: 'dB', default: -2 },
+            presence: { name: 'Presence', min: -12, max: 12, step: 0.5, unit: 'dB', default: 2 },
+        },
+    },
+    compressor: {
+        name: 'Compressor',
+        params: {
+            threshold: { name: 'Threshold', min: -60, max: 0, step: 1, unit: 'dB', default: -24 },
+            ratio:     { name: 'Ratio',     min: 1, max: 20, step: 0.5, unit: ':1', default: 4 },
+            attack:    { name: 'Attack',    min: 1, max: 100, step: 1, unit: 'ms', default: 10 },
+            release:   { name: 'Release',   min: 20, max: 1000, step: 10, unit: 'ms', default: 250 },
+            makeup:    { name: 'Makeup',    min: 0, max: 24, step: 0.5, unit: 'dB', default: 4 },
+        },
+    },
+    drive: {
+        name: 'Drive',
+        params: {
+            amount: { name: 'Amount', min: 0, max: 100, step: 1, unit: '%', default: 0 },
+        },
+    },
+    cab: {
+        name: 'Amp Cab',
+        params: {
+            tone: { name: 'Tone', min: 1500, max: 8000, step: 100, unit: 'Hz', default: 4500 },
+            body: { name: 'Body', min: 0, max: 9, step: 0.5, unit: 'dB', default: 3 },
+        },
+    },
+    chorus: {
+        name: 'Chorus',
+        params: {
+            rate:  { name: 'Rate',  min: 0.1, max: 5, step: 0.1, unit: 'Hz', default: 0.8 },
+            depth: { name: 'Depth', min: 0, max: 10, step: 0.5, unit: 'ms', default: 3 },
+            mix:   { name: 'Mix',   min: 0, max: 100, step: 1, unit: '%', default: 40 },
+        },
+    },
+    phaser: {
+        name: 'Phaser',
+        params: {
+            rate:     { name: 'Rate',     min: 0.05, max: 5, step: 0.05, unit: 'Hz', default: 0.5 },
+            depth:    { name: 'Depth',    min: 0, max: 100, step: 1, unit: '%', default: 70 },
+            feedback: { name: 'Feedback', min: 0, max: 90, step: 1, unit: '%', default: 40 },
+            mix:      { name: 'Mix',      min: 0, max: 100, step: 1, unit: '%', default: 50 },
+        },
+    },
+    tremolo: {
+        name: 'Tremolo',
+        params: {
+            rate:  { name: 'Rate',  min: 0.5, max: 15, step: 0.5, unit: 'Hz', default: 5 },
+            depth: { name: 'Depth', min: 0, max: 100, step: 1, unit: '%', default: 50 },
+        },
+    },
+    delay: {
+        name: 'Delay',
+        params: {
+            sync:     { name: 'Sync to BPM', toggle: true, default: true },
+            division: { name: 'Time', options: DELAY_DIVISIONS, default: 0.75 },
+            time:     { name: 'Free Time', min: 20, max: 1500, step: 10, unit: 'ms', default: 350 },
+            feedback: { name: 'Feedback', min: 0, max: 90, step: 1, unit: '%', default: 35 },
+            mix:      { name: 'Mix', min: 0, max: 100, step: 1, unit: '%', default: 25 },
+        },
+    },
+    reverb: {
+        name: 'Reverb',
+        params: {
+            mix:      { name: 'Mix',      min: 0, max: 100, step: 1, unit: '%', default: 30 },
+            size:     { name: 'Size',     min: 0.5, max: 6, step: 0.1, unit: 's', default: 3 },
+            decay:    { name: 'Decay',    min: 0.3, max: 10, step: 0.1, unit: 's', default: 5.9 },
+            predelay: { name: 'Predelay', min: 0, max: 200, step: 1, unit: 'ms', default: 10 },
+        },
+    },
+};
+
+export const EFFECT_LIST = Object.keys(EFFECTS);
+
+// On unless an instrument says otherwise: the EQ, drive and reverb the
+// fixed chain always had.
+const ON_BY_DEFAULT = new Set(['eq', 'drive', 'reverb']);
+
+// The rack for an instrument preset (see INSTRUMENTS in audio.js): its
+// `distortion` and `reverb` set the drive and reverb mix, and its
+// `effects` (partial settings per effect) adjust the rest.
+export function defaultRack(preset = {}) {
+    const rack = { order: [...EFFECT_LIST] };
+    for (const [kind, effect] of Object.entries(EFFECTS)) {
+        rack[kind] = { on: ON_BY_DEFAULT.has(kind) };
+        for (const [key, param] of Object.entries(effect.params)) rack[kind][key] = param.default;
+    }
+    rack.drive.amount = Math.round((preset.distortion ?? 0) * 100);
+    if (preset.reverb !== undefined) rack.reverb.mix = Math.round(preset.reverb * 100);
+    for (const [kind, settings] of Object.entries(preset.effects ?? {})) Object.assign(rack[kind], settings);
+    return rack;
+}
+
+function validParam(param, v) {
+    if (param.toggle) return typeof v === 'boolean';
+    if (param.options) return param.options.some(([value]) => value === v);
+    return typeof v === 'number' && Number.isFinite(v);
+}
+
+// A fresh copy of `raw` with anything missing or invalid taken from
+// `base`; numbers are clamped to their range. Never throws.
+export function normalizeRack(raw, base = defaultRack()) {
+    const order = Array.isArray(raw?.order) && raw.order.length === EFFECT_LIST.length
+        && EFFECT_LIST.every(k => raw.order.includes(k)) ? [...raw.order] : [...base.order];
+    const rack = { order };
+    for (const [kind, effect] of Object.entries(EFFECTS)) {
+        const from = raw?.[kind] ?? {};
+        rack[kind] = { on: typeof from.on === 'boolean' ? from.on : base[kind].on };
+        for (const [key, param] of Object.entries(effect.params)) {
+            const v = from[key];
+            rack[kind][key] = !validParam(param, v) ? base[kind][key]
+                : param.min !== undefined ? Math.max(param.min, Math.min(param.max, v)) : v;
+        }
+    }
+    return rack;
+}
+
+// --- Units ---
+// One builder per effect: returns { input, output, set(params, bpm) } and
+// `stop()` for units running LFOs.
+
+function biquad(ctx, type, freq, q) {
+    const f = ctx.createBiquadFilter();
+    f.type = type;
+    f.frequency.value = freq;
+    f.Q.value = q;
+    return f;
+}
+
+// Dry path and a wet send summed into one output.
+function mixer(ctx) {
+    const input = ctx.createGain();
+    const output = ctx.createGain();
+    const dry = ctx.createGain();
+    const wet = ctx.createGain();
+    input.connect(dry);
+    dry.connect(output);
+    wet.connect(output);
+    return {
+        input, output, wet,
+        setMix(percent) {
+            wet.gain.value = percent / 100;
+            dry.gain.value = 1 - percent / 100;
+        },
+    };
+}
+
+// A running sine LFO; connect `depth` to the parameter it sweeps.
+function lfo(ctx) {
+    const osc = ctx.createOscillator();
+    const depth = ctx.createGain();
+    osc.connect(depth);
+    osc.start();
+    return { osc, depth };
+}
+
+const UNITS = {
+    eq(ctx) {
+        const hp = biquad(ctx, 'highpass', 60, 0.7);
+        const mid = biquad(ctx, 'peaking', 320, 1.1);
+        const presence = biquad(ctx, 'peaking', 2800, 0.8);
+        hp.connect(mid);
+        mid.connect(presence);
+        return {
+            input: hp,
+            output: presence,
+            set(p) {
+                hp.frequency.value = p.lowCut;
+                mid.frequency.value = p.midFreq;
+                mid.gain.value = p.midGain;
+                presence.gain.value = p.presence;
+            },
+        };
+    },
+
+    compressor(ctx) {
+        const comp = ctx.createDynamicsCompressor();
+        const makeup = ctx.createGain();
+        comp.knee.value = 6;
+        comp.connect(makeup);
+        return {
+            input: comp,
+            output: makeup,
+            set(p) {
+                comp.threshold.value = p.threshold;
+                comp.ratio.value = p.ratio;
+                comp.attack.value = p.attack / 1000;
+                comp.release.value = p.release / 1000;
+                makeup.gain.value = 10 ** (p.makeup / 20);
+            },
+        };
+    },
+
+    drive(ctx) {
+        const shaper = ctx.createWaveShaper();
+        shaper.oversample = '4x';
+        let amount = null;
+        return {
+            input: shaper,
+            output: shaper,
+            set(p) {
+                if (p.amount === amount) return;
+                amount = p.amount;
+                shaper.curve = softClipCurve(amount / 100);
+            },
+        };
+    },
+
+    // Speaker cabinet: no deep lows, a resonant upper-mid and a steep
+    // roll-off above `tone`, with a low `body` bump.
+    cab(ctx) {
+        const hp = biquad(ctx, 'highpass', 80, 0.7);
+        const body = biquad(ctx, 'peaking', 120, 0.9);
+        const cone = biquad(ctx, 'peaking', 1800, 1.4);
+        const lp1 = biquad(ctx, 'lowpass', 4500, 0.7);
+        const lp2 = biquad(ctx, 'lowpass', 4500, 0.7);
+        cone.gain.value = 3;
+        hp.connect(body);
+        body.connect(cone);
+        cone.connect(lp1);
+        lp1.connect(lp2);
+        return {
+            input: hp,
+            output: lp2,
+            set(p) {
+                body.gain.value = p.body;
+                lp1.frequency.value = p.tone;
+                lp2.frequency.value = p.tone;
+            },
+        };
+    },
+
+    chorus(ctx) {
+        const m = mixer(ctx);
+        const delay = ctx.createDelay(0.1);
+        delay.delayTime.value = 0.012;
+        const mod = lfo(ctx);
+        m.input.connect(delay);
+        delay.connect(m.wet);
+        mod.depth.connect(delay.delayTime);
+        return {
+            input: m.input,
+            output: m.output,
+            set(p) {
+                mod.osc.frequency.value = p.rate;
+                mod.depth.gain.value = p.depth / 1000;
+                m.setMix(p.mix);
+            },
+            stop: () => mod.osc.stop(),
+        };
+    },
+
+    // Four swept all-pass stages; the feedback path needs a delay to be
+    // allowed in a Web Audio graph.
+    phaser(ctx) {
+        const m = mixer(ctx);
+        const stages = [0, 1, 2, 3].map(() => biquad(ctx, 'allpass', 700, 0.5));
+        const mod = lfo(ctx);
+        const feedback = ctx.createGain();
+        const loop = ctx.createDelay(0.01);
+        loop.delayTime.value = 0.001;
+        m.input.connect(stages[0]);
+        for (let i = 1; i < stages.length; i++) stages[i - 1].connect(stages[i]);
+        stages[3].connect(m.wet);
+        stages[3].connect(feedback);
+        feedback.connect(loop);
+        loop.connect(stages[0]);
+        for (const s of stages) mod.depth.connect(s.frequency);
+        return {
+            input: m.input,
+            output: m.output,
+            set(p) {
+                mod.osc.frequency.value = p.rate;
+                mod.depth.gain.value = 6 * p.depth;
+                feedback.gain.value = p.feedback / 100;
+                m.setMix(p.mix);
+            },
+            stop: () => mod.osc.stop(),
+        };
+    },
+
+    tremolo(ctx) {
+        const amp = ctx.createGain();
+        const mod = lfo(ctx);
+        mod.depth.connect(amp.gain);
+        return {
+            input: amp,
+            output: amp,
+            set(p) {
+                amp.gain.value = 1 - p.depth / 200;
+                mod.depth.gain.value = p.depth / 200;
+                mod.osc.frequency.value = p.rate;
+            },
+            stop: () => mod.osc.stop(),
+        };
+    },
+
+    // Echoes darken a little on every repeat.
+    delay(ctx) {
+        const m = mixer(ctx);
+        const delay = ctx.createDelay(4);
+        const tone = biquad(ctx, 'lowpass', 5000, 0.5);
+        const feedback = ctx.createGain();
+        m.input.connect(delay);
+        delay.connect(tone);
+        tone.connect(feedback);
+        feedback.connect(delay);
+        tone.connect(m.wet);
+        return {
+            input: m.input,
+            output: m.output,
+            set(p, bpm) {
+                delay.delayTime.value = Math.min(4, p.sync ? p.division * 60 / bpm : p.time / 1000);
+                feedback.gain.value = p.feedback / 100;
+                m.setMix(p.mix);
+            },
+        };
+    },
+
+    reverb(ctx) {
+        const m = mixer(ctx);
+        const predelay = ctx.createDelay(0.5);
+        const conv = ctx.createConvolver();
+        m.input.connect(predelay);
+        predelay.connect(conv);
+        conv.connect(m.wet);
+        let size = null, decay = null;
+        return {
+            input: m.input,
+            output: m.output,
+            set(p) {
+                predelay.delayTime.value = p.predelay / 1000;
+                m.setMix(p.mix);
+                // A new buffer resets the convolver and cuts the tail off.
+                if (p.size === size && p.decay === decay) return;
+                size = p.size;
+                decay = p.decay;
+                conv.buffer = makeImpulse(ctx, size, decay);
+            },
+        };
+    },
+};
+
+// --- Rack ---
+
+// Every effect's unit, wired input → (effects that are on, in order) → output.
+export class EffectsRack {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.input = ctx.createGain();
+        this.output = ctx.createGain();
+        this._units = Object.fromEntries(EFFECT_LIST.map(k => [k, UNITS[k](ctx)]));
+        this._path = null;              // effects wired, in order
+    }
+
+    // Set every parameter from `settings`, rewiring if the path changed.
+    // `bpm` times a synced delay.
+    apply(settings, bpm = 120) {
+        for (const kind of EFFECT_LIST) this._units[kind].set(settings[kind], bpm);
+        const path = settings.order.filter(k => settings[k].on);
+        if (this._path?.join() !== path.join()) this._wire(path);
+    }
+
+    _wire(path) {
+        this.input.disconnect();
+        for (const unit of Object.values(this._units)) unit.output.disconnect();
+        let node = this.input;
+        for (const kind of path) {
+            node.connect(this._units[kind].input);
+            node = this._units[kind].output;
+        }
+        node.connect(this.output);
+        this._path = path;
+    }
+
+    disconnect() {
+        this.output.disconnect();
+        for (const unit of Object.values(this._units)) unit.stop?.();
+    }
+}
+
+// --- Storage ---
+
+const STORAGE_KEY = 'making-music.effects';
+
+// Racks the user has edited: instrument → settings. Normalise what comes
+// out against the instrument's defaultRack before use.
+export class RackStore {
+    constructor(storage = defaultStorage()) {
+        this._storage = storage;
+        this.racks = this._load();
+    }
+
+    save(instrument, settings) {
+        this.racks[instrument] = settings;
+        this._persist();
+    }
+
+    delete(instrument) {
+        delete this.racks[instrument];
+        this._persist();
+    }
+
+    _load() {
+        try {
+            const data = JSON.parse(this._storage?.getItem(STORAGE_KEY) ?? '{}');
+            return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+        } catch (_) {
+            return {};
+        }
+    }
+
+    _persist() {
+        saveJson(this._storage, STORAGE_KEY, this.racks);
+    }
+}
@@ -0,0 +1,142 @@
+// keymap.js — Remappable keyboard shortcuts.
+//
+// A binding is a string of modifiers plus a physical key code, in a fixed
+// order: `Ctrl+Alt+Shift+Meta+<event.code>` (e.g. `Meta+Digit1`,
+// `BracketLeft`). Codes are layout-independent, like CODE_TO_KEY.
+// Commands and their default bindings are supplied by the app; only the
+// user's changes are stored.
+
+import { defaultStorage, saveJson } from './storage.js';
+
+const STORAGE_KEY = 'making-music.keys';
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+const MODIFIER_CODES = new Set([
+    'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight',
+    'ShiftLeft', 'ShiftRight', 'MetaLeft', 'MetaRight', 'CapsLock', 'Fn',
+]);
+
+export const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+const KEY_LABELS = {
+    Enter: 'Enter', Escape: 'Esc', Space: 'Space', Tab: 'Tab', Backspace: 'Backspace',
+    BracketLeft: '[', BracketRight: ']', Backslash: '\\', Backquote: '`',
+    Minus: '-', Equal: '=', Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/',
+    ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+};
+
+const MODIFIER_LABELS = IS_MAC
+    ? { Ctrl: 'Ctrl', Alt: 'Opt', Shift: 'Shift', Meta: 'Cmd' }
+    : { Ctrl: 'Ctrl', Alt: 'Alt', Shift: 'Shift', Meta: 'Win' };
+
+// Canonical binding for a keydown/keyup event, or null for a bare modifier.
+export function bindingFromEvent(e) {
+    if (MODIFIER_CODES.has(e.code) || !e.code) return null;
+    const mods = [];
+    if (e.ctrlKey) mods.push('Ctrl');
+    if (e.altKey) mods.push('Alt');
+    if (e.shiftKey) mods.push('Shift');
+    if (e.metaKey) mods.push('Meta');
+    return [...mods, e.code].join('+');
+}
+
+// Human-readable label, e.g. `Meta+Digit1` → `Cmd+1` on a Mac.
+export function formatBinding(binding) {
+    const parts = binding.split('+');
+    const code = parts.pop();
+    const key = KEY_LABELS[code]
+        ?? code.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Numpad/, 'Num ');
+    return [...parts.map(m => MODIFIER_LABELS[m] ?? m), key].join('+');
+}
+
+function isBinding(value) {
+    if (typeof value !== 'string') return false;
+    const parts = value.split('+');
+    const code = parts.pop();
+    return /^[A-Za-z0-9]+$/.test(code) && !MODIFIER_CODES.has(code)
+        && parts.every((m, i) => MODIFIERS.includes(m) && (i === 0 || MODIFIERS.indexOf(parts[i - 1]) < MODIFIERS.indexOf(m)));
+}
+
+export class Keymap {
+    // `commands`: { id: { name, keys: [binding, …] } } with the defaults.
+    constructor(commands, storage = defaultStorage()) {
+        this.commands = commands;
+        this._storage = storage;
+        this._overrides = this._load();
+        this._index();
+    }
+
+    bindings(id) {
+        return this._overrides[id] ?? this.commands[id].keys;
+    }
+
+    isCustom(id) {
+        return Object.hasOwn(this._overrides, id);
+    }
+
+    // Command for an event. Shift and Alt are play modifiers, so a command
+    // bound to a bare key still fires while either is held.
+    lookup(e) {
+        const binding = bindingFromEvent(e);
+        if (!binding) return null;
+        const exact = this._byBinding.get(binding);
+        if (exact) return exact;
+        if (!e.ctrlKey && !e.metaKey) return this._byBinding.get(e.code) ?? null;
+        return null;
+    }
+
+    // Bind `id` to `binding` alone. A command that had it loses it.
+    // Returns the id of that command, or null.
+    assign(id, binding) {
+        if (!Object.hasOwn(this.commands, id)) throw new Error(`Unknown command: ${id}`);
+        if (!isBinding(binding)) throw new Error(`Not a key binding: ${binding}`);
+        const previous = this._byBinding.get(binding) ?? null;
+        if (previous && previous !== id) {
+            this._overrides[previous] = this.bindings(previous).filter(b => b !== binding);
+        }
+        this._overrides[id] = [binding];
+        this._persist();
+        return previous === id ? null : previous;
+    }
+
+    reset(id) {
+        delete this._overrides[id];
+        this._persist();
+    }
+
+    resetAll() {
+        this._overrides = {};
+        this._persist();
+    }
+
+    _index() {
+        // Defaults first so an override taking a default key wins.
+        this._byBinding = new Map();
+        for (const id of Object.keys(this.commands)) {
+            if (this.isCustom(id)) continue;
+            for (const b of this.commands[id].keys) this._byBinding.set(b, id);
+        }
+        for (const [id, keys] of Object.entries(this._overrides)) {
+            for (const b of keys) this._byBinding.set(b, id);
+        }
+    }
+
+    _load() {
+        try {
+            const data = JSON.parse(this._storage?.getItem(STORAGE_KEY) ?? '{}');
+            const out = {};
+            for (const [id, keys] of Object.entries(data ?? {})) {
+                if (Object.hasOwn(this.commands, id) && Array.isArray(keys) && keys.every(isBinding)) {
+                    out[id] = keys;
+                }
+            }
+            return out;
+        } catch (_) {
+            return {};
+        }
+    }
+
+    _persist() {
+        this._index();
+        saveJson(this._storage, STORAGE_KEY, this._overrides);
+    }
+}
@@ -0,0 +1,252 @@
+// looper.js — Loop station: bar-quantised loops of Keys mode playing,
+// overdubbed in layers.
+//
+// Layers are note events in beats from the top of the loop — not audio —
+// so each one plays through its own instrument Part and follows changes
+// of instrument, volume and tempo. The first take sets the loop length in
+// whole bars; overdubs start on the next bar line and fold round the loop.
+// Playback runs on the Clock's look-ahead grid, so every note is scheduled
+// at an exact AudioContext time.
+//
+// The looper is a NoteOutput tap: it hears everything played live.
+
+const STEPS_PER_BEAT = 4;       // scheduling grid
+const EARLY = 0.25;             // beats: a note (or stop) this far off still counts for the bar line
+
+const now = () => performance.now() / 1000;
+
+function mod(a, n) {
+    return ((a % n) + n) % n;
+}
+
+export class Looper {
+    // `createPart(instrument)` returns a Part (see audio.js) for a new layer.
+    constructor(clock, createPart) {
+        this.clock = clock;
+        this._createPart = createPart;
+        this.beatsPerBar = 4;
+        this.layers = [];               // { id, instrument, events, muted, volume, part }
+        this.length = 0;                // loop length in beats; 0 = no loop yet
+        this.playing = false;
+        this.onChange = null;           // () → void on a take starting or ending, and each bar
+        this._origin = 0;               // clock beat of the top of the loop
+        this._take = null;              // { layer, start, stop, open } while recording
+        this._unsub = null;
+        this._nextId = 1;
+    }
+
+    // 'empty' | 'waiting' (for the bar line) | 'recording' | 'playing' | 'stopped'
+    get state() {
+        if (this._take) return this._beatNow() < this._take.start ? 'waiting' : 'recording';
+        if (!this.length) return 'empty';
+        return this.playing ? 'playing' : 'stopped';
+    }
+
+    // Beats into the loop (or into the first take while it is recorded).
+    get position() {
+        if (this.length) return mod(this._beatNow() - this._origin, this.length);
+        return this._take ? Math.max(0, this._beatNow() - this._take.start) : 0;
+    }
+
+    // Record a layer for `instrument` from the next bar line. On an empty
+    // looper this is the take that sets the loop length.
+    record(instrument) {
+        if (this._take) return;
+        this._run();
+        if (!this.length) this._origin = 0;
+        const start = this._nextBar(this._beatNow() - EARLY);
+        if (!this.length) this._origin = start;
+        const layer = { id: this._nextId++, instrument, events: [], muted: false, volume: 1, part: null };
+        this._take = { layer, start, stop: null, open: new Map() };
+        this.onChange?.();
+    }
+
+    // End the take on the next bar line (or the one just passed, for a
+    // press that is a touch late). The first take starts looping there.
+    stopRecording() {
+        const take = this._take;
+        if (!take || take.stop !== null) return;
+        take.stop = Math.max(take.start + this.beatsPerBar, this._nextBar(this._beatNow() - EARLY));
+        if (!this.length) {
+            this.length = take.stop - take.start;
+            this.playing = true;
+        }
+        this.onChange?.();
+    }
+
+    // Start the loop from the top on the next bar line.
+    play() {
+        if (!this.length || this.playing) return;
+        this._run();
+        this._origin = this._nextBar(this._beatNow());
+        this.playing = true;
+        this.onChange?.();
+    }
+
+    // Stop playback. A take still in progress is dropped.
+    stop() {
+        this._take = null;
+        this.playing = false;
+        for (const layer of this.layers) layer.part.allNotesOff();
+        this._idle();
+        this.onChange?.();
+    }
+
+    // Drop the take in progress, or else the newest layer.
+    undo() {
+        if (this._take) {
+            this._take = null;
+        } else {
+            this.layers.pop()?.part.disconnect();
+        }
+        if (!this.layers.length && !this._take) {
+            this.length = 0;
+            this.playing = false;
+        }
+        this._idle();
+        this.onChange?.();
+    }
+
+    clear() {
+        this._take = null;
+        for (const layer of this.layers) layer.part.disconnect();
+        this.layers = [];
+        this.length = 0;
+        this.playing = false;
+        this._idle();
+        this.onChange?.();
+    }
+
+    layer(id) {
+        return this.layers.find(l => l.id === id) ?? null;
+    }
+
+    setMuted(id, muted) {
+        const layer = this.layer(id);
+        if (!layer) return;
+        layer.muted = muted;
+        if (muted) layer.part.allNotesOff();
+    }
+
+    setVolume(id, volume) {
+        const layer = this.layer(id);
+        if (!layer) return;
+        layer.volume = volume;
+        layer.part.volume = volume;
+    }
+
+    setInstrument(id, instrument) {
+        const layer = this.layer(id);
+        if (!layer) return;
+        layer.instrument = instrument;
+        layer.part.setInstrument(instrument);
+    }
+
+    // --- Sink interface (tap on NoteOutput) ---
+
+    // `at` (performance clock, seconds) is given for notes scheduled ahead.
+    noteOn(note, velocity, at = now()) {
+        const pos = this._takePosition(at);
+        if (pos === null) return;
+        const { layer, open } = this._take;
+        layer.events.push({ beat: pos, type: 'on', note, velocity });
+        open.set(note, (open.get(note) ?? 0) + 1);
+    }
+
+    noteOff(note, at = now()) {
+        const take = this._take;
+        if (!take?.open.get(note)) return;
+        // Notes let go after the take ends are closed when it ends.
+        const pos = this._takePosition(at);
+        if (pos === null) return;
+        take.layer.events.push({ beat: pos, type: 'off', note, velocity: 0 });
+        const left = take.open.get(note) - 1;
+        if (left > 0) take.open.set(note, left);
+        else take.open.delete(note);
+    }
+
+    panic() {
+        const take = this._take;
+        if (!take) return;
+        for (const note of [...take.open.keys()]) {
+            while (take.open.has(note)) this.noteOff(note);
+        }
+    }
+
+    // --- Scheduling ---
+
+    _beatNow() {
+        return this.clock.beatAt(this.clock.now);
+    }
+
+    // First bar line at or after clock beat `beat`. Bars are counted from
+    // the top of the loop (from clock beat 0 before there is one).
+    _nextBar(beat) {
+        return this._origin + Math.ceil((beat - this._origin) / this.beatsPerBar - 1e-9) * this.beatsPerBar;
+    }
+
+    // Where a note at performance time `at` lands in the take, or null
+    // when it falls outside it.
+    _takePosition(at) {
+        const take = this._take;
+        if (!take) return null;
+        const beat = this.clock.beatAt(this.clock.now + (at - now()));
+        if (beat < take.start - EARLY || (take.stop !== null && beat >= take.stop)) return null;
+        const b = Math.max(beat, take.start);
+        return this.length ? mod(b - this._origin, this.length) : b - take.start;
+    }
+
+    _run() {
+        if (this._unsub) return;
+        this._unsub = this.clock.every(STEPS_PER_BEAT, (step, time, stepSeconds) => {
+            this._step(step / STEPS_PER_BEAT, time, stepSeconds);
+        }, { swing: false });
+    }
+
+    // Let the clock go when there's nothing to play or record.
+    _idle() {
+        if (this.playing || this._take || !this._unsub) return;
+        this._unsub();
+        this._unsub = null;
+    }
+
+    // One grid step at clock `beat` (context `time`): close a take that
+    // ends here, then schedule every layer's events inside the step.
+    _step(beat, time, stepSeconds) {
+        const take = this._take;
+        if (take && take.stop !== null && beat >= take.stop - 1e-9) this._finishTake();
+        if (take && Math.abs(beat - take.start) < 1e-9) this.onChange?.();
+        if (!this.playing || beat < this._origin - 1e-9) return;
+
+        const pos = mod(beat - this._origin, this.length);
+        const span = 1 / STEPS_PER_BEAT;
+        const secondsPerBeat = stepSeconds * STEPS_PER_BEAT;
+        for (const layer of this.layers) {
+            if (layer.muted) continue;
+            for (const e of layer.events) {
+                if (e.beat < pos - 1e-9 || e.beat >= pos + span - 1e-9) continue;
+                const at = time + (e.beat - pos) * secondsPerBeat;
+                if (e.type === 'on') layer.part.noteOn(e.note, e.velocity, at);
+                else layer.part.noteOff(e.note, at);
+            }
+        }
+        if (Math.abs(mod(pos, this.beatsPerBar)) < 1e-9) this.onChange?.();
+    }
+
+    // Close the take's held notes at its end and add it as a layer.
+    _finishTake() {
+        const { layer, stop, open } = this._take;
+        const end = mod(stop - this._origin, this.length);
+        for (const [note, count] of open) {
+            for (let i = 0; i < count; i++) layer.events.push({ beat: end, type: 'off', note, velocity: 0 });
+        }
+        // In time order, note-offs first so a re-struck note isn't cut.
+        layer.events = layer.events
+            .map(e => ({ ...e, beat: mod(e.beat, this.length) }))
+            .sort((a, b) => a.beat - b.beat || (a.type === 'off' ? -1 : 1) - (b.type === 'off' ? -1 : 1));
+        layer.part = this._createPart(layer.instrument);
+        this.layers.push(layer);
+        this._take = null;
+        this.onChange?.();
+    }
+}
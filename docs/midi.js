@@ -0,0 +1,253 @@
+// midi.js — Note output routing and Web MIDI in/out.
+//
+// Everything that plays notes talks to a NoteOutput, which fans them out
+// to the built-in synth, a Web MIDI port, or both — plus any taps (such as
+// the recorder) regardless of target. MidiIO wraps a MIDIAccess object;
+// any object with the same shape (`inputs`/`outputs` maps of ports with
+// `send()` / `onmidimessage`) works, which is how it is exercised without
+// a browser.
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xB0;
+const PITCH_BEND = 0xE0;
+const ALL_NOTES_OFF = 123;
+export const CC_MODULATION = 1;
+export const CC_SUSTAIN = 64;
+export const CC_SOSTENUTO = 66;
+
+export const OUTPUT_TARGETS = {
+    synth: { name: 'Synth' },
+    midi:  { name: 'MIDI' },
+    both:  { name: 'Synth + MIDI' },
+};
+
+// --- Output routing ---
+
+export class NoteOutput {
+    constructor(audio, midi) {
+        this.audio = audio;
+        this.midi = midi;
+        this.target = 'synth';          // key of OUTPUT_TARGETS
+        this.taps = new Set();          // extra sinks with noteOn/noteOff/panic
+        // Taps hear notes as they sound: a pedal holds back their note-offs
+        // the way the synth holds the voices.
+        this._tapHeld = new Set();      // notes whose key is down
+        this._tapDeferred = new Set();  // released notes a pedal keeps sounding
+        this._sustain = false;
+        this._sostenutoNotes = new Set();
+    }
+
+    get _toSynth() { return this.target !== 'midi'; }
+
+    get _toMidi() { return this.target !== 'synth'; }
+
+    // `when` is an AudioContext time for notes scheduled ahead (the clock);
+    // omitted means now. MIDI ports and taps get it on their own timelines.
+    noteOn(midi, velocity = 80, when) {
+        if (this._toSynth) this.audio.noteOn(midi, velocity, when);
+        if (this._toMidi) this.midi.noteOn(midi, velocity, this._perfMs(when));
+        // Re-strike: a note the pedal was holding ends before the new one.
+        if (this._tapDeferred.delete(midi)) this._tapsOff(midi);
+        this._tapHeld.add(midi);
+        for (const t of this.taps) t.noteOn(midi, velocity, this._perfSeconds(when));
+    }
+
+    noteOff(midi, when) {
+        if (this._toSynth) this.audio.noteOff(midi, when);
+        if (this._toMidi) this.midi.noteOff(midi, this._perfMs(when));
+        this._tapHeld.delete(midi);
+        if (this._sustain || this._sostenutoNotes.has(midi)) this._tapDeferred.add(midi);
+        else this._tapsOff(midi, when);
+    }
+
+    _tapsOff(midi, when) {
+        for (const t of this.taps) t.noteOff(midi, this._perfSeconds(when));
+    }
+
+    // Pedal up: taps get the note-offs it held back.
+    _flushTaps() {
+        for (const midi of [...this._tapDeferred]) {
+            if (this._sustain || this._sostenutoNotes.has(midi)) continue;
+            this._tapDeferred.delete(midi);
+            this._tapsOff(midi);
+        }
+    }
+
+    // Context time → performance.now() milliseconds (Web MIDI timestamps).
+    _perfMs(when) {
+        if (when === undefined || !this.audio.ctx) return undefined;
+        return performance.now() + (when - this.audio.ctx.currentTime) * 1000;
+    }
+
+    _perfSeconds(when) {
+        const ms = this._perfMs(when);
+        return ms === undefined ? undefined : ms / 1000;
+    }
+
+    // Pedals go to both: the synth defers releases itself, a MIDI
+    // receiver gets the matching controller.
+    setSustain(down) {
+        this.audio.setSustain(down);
+        this.midi.controlChange(CC_SUSTAIN, down ? 127 : 0);
+        this._sustain = down;
+        if (!down) this._flushTaps();
+    }
+
+    setSostenuto(down) {
+        this.audio.setSostenuto(down);
+        this.midi.controlChange(CC_SOSTENUTO, down ? 127 : 0);
+        this._sostenutoNotes = down ? new Set(this._tapHeld) : new Set();
+        if (!down) this._flushTaps();
+    }
+
+    // Wheels, like the pedals, go to both. `value` is −1…1 for the pitch
+    // wheel, 0–1 for the mod wheel.
+    pitchBend(value) {
+        this.audio.setPitchBend(value);
+        this.midi.pitchBend(value);
+    }
+
+    modWheel(value) {
+        this.audio.setModWheel(value);
+        this.midi.controlChange(CC_MODULATION, Math.round(value * 127));
+    }
+
+    // Bend one note (the touch pad's glide). The synth only: a MIDI
+    // channel has a single pitch wheel for all its notes.
+    bendNote(midi, cents) {
+        if (this._toSynth) this.audio.bendNote(midi, cents);
+    }
+
+    // Panic always reaches both, so switching targets can't strand notes.
+    panic() {
+        this.audio.panic();
+        this.midi.panic();
+        this._tapHeld.clear();
+        this._tapDeferred.clear();
+        this._sostenutoNotes.clear();
+        for (const t of this.taps) t.panic();
+    }
+}
+
+// --- Web MIDI ---
+
+export class MidiIO {
+    constructor() {
+        this.access = null;
+        this.channel = 0;               // output channel, 0–15
+        this.inputChannel = null;       // null = omni, else 0–15
+
+        this.onNoteOn = null;           // (midi, velocity) → void
+        this.onNoteOff = null;          // (midi) → void
+        this.onControlChange = null;    // (controller, value) → void
+        this.onPitchBend = null;        // (−1…1) → void
+        this.onPortsChanged = null;     // () → void
+
+        this._output = null;
+        this._input = null;
+        this._sounding = new Map();     // midi → channel it was sent on
+    }
+
+    static get supported() {
+        return typeof navigator !== 'undefined' && !!navigator.requestMIDIAccess;
+    }
+
+    // Ask the browser for MIDI access (must follow a user gesture).
+    async request() {
+        if (!MidiIO.supported) throw new Error('Web MIDI is not available in this browser');
+        this.attach(await navigator.requestMIDIAccess());
+    }
+
+    attach(access) {
+        this.access = access;
+        access.onstatechange = () => {
+            // A port that went away is deselected rather than left dangling.
+            if (this._output && !access.outputs.has(this._output.id)) this._output = null;
+            if (this._input && !access.inputs.has(this._input.id)) this.selectInput(null);
+            this.onPortsChanged?.();
+        };
+        this.onPortsChanged?.();
+    }
+
+    get outputs() { return this._ports('outputs'); }
+
+    get inputs() { return this._ports('inputs'); }
+
+    get outputId() { return this._output?.id ?? null; }
+
+    get inputId() { return this._input?.id ?? null; }
+
+    _ports(kind) {
+        if (!this.access) return [];
+        return [...this.access[kind].values()].map(p => ({ id: p.id, name: p.name || p.id }));
+    }
+
+    selectOutput(id) {
+        this.panic();
+        this._output = (id && this.access?.outputs.get(id)) || null;
+    }
+
+    selectInput(id) {
+        if (this._input) this._input.onmidimessage = null;
+        this._input = (id && this.access?.inputs.get(id)) || null;
+        if (this._input) this._input.onmidimessage = e => this.handleMessage(e.data);
+    }
+
+    // --- Output ---
+
+    // `timestamp` (performance.now() ms) schedules the message ahead.
+    noteOn(midi, velocity = 80, timestamp) {
+        if (!this._output) return;
+        // Re-strike: close the previous note so the receiver doesn't stack them.
+        if (this._sounding.has(midi)) this.noteOff(midi, timestamp);
+        const vel = Math.max(1, Math.min(127, Math.round(velocity)));
+        this._output.send([NOTE_ON | this.channel, midi, vel], timestamp);
+        this._sounding.set(midi, this.channel);
+    }
+
+    noteOff(midi, timestamp) {
+        const ch = this._sounding.get(midi);
+        if (ch === undefined || !this._output) return;
+        this._output.send([NOTE_OFF | ch, midi, 0], timestamp);
+        this._sounding.delete(midi);
+    }
+
+    controlChange(controller, value) {
+        this._output?.send([CONTROL_CHANGE | this.channel, controller & 0x7F, value & 0x7F]);
+    }
+
+    // `value` −1…1 as a 14-bit bend, centre 8192.
+    pitchBend(value) {
+        const bend = Math.max(0, Math.min(16383, Math.round(8192 + value * 8192)));
+        this._output?.send([PITCH_BEND | this.channel, bend & 0x7F, bend >> 7]);
+    }
+
+    panic() {
+        if (this._output) {
+            for (const [midi, ch] of this._sounding) this._output.send([NOTE_OFF | ch, midi, 0]);
+            this._output.send([CONTROL_CHANGE | this.channel, ALL_NOTES_OFF, 0]);
+        }
+        this._sounding.clear();
+    }
+
+    // --- Input ---
+
+    // Decode one incoming message; note-on with velocity 0 counts as note-off.
+    handleMessage(data) {
+        const [status, data1, data2] = data;
+        const type = status & 0xF0;
+        const ch = status & 0x0F;
+        if (this.inputChannel !== null && ch !== this.inputChannel) return;
+
+        if (type === NOTE_ON && data2 > 0) {
+            this.onNoteOn?.(data1, data2);
+        } else if (type === NOTE_OFF || type === NOTE_ON) {
+            this.onNoteOff?.(data1);
+        } else if (type === CONTROL_CHANGE) {
+            this.onControlChange?.(data1, data2);
+        } else if (type === PITCH_BEND) {
+            this.onPitchBend?.(Math.max(-1, ((data2 << 7 | data1) - 8192) / 8191));
+        }
+    }
+}
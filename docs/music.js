@@ -2,27 +2,127 @@
 // Ported from MakingMusicCore (Swift).
 
 const PITCH_CLASS_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
 
-export function noteName(midi) {
-    return `${PITCH_CLASS_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+// Root keys as usually written (Bb rather than A#), for the root selector.
+export const KEY_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Keys whose notes are spelled with flats (F and the flat keys).
+export function spellsWithFlats(rootPitchClass) {
+    return KEY_NAMES[rootPitchClass].endsWith('b') || rootPitchClass === 5;
+}
+
+export function noteName(midi, flats = false) {
+    return `${pitchClassName(midi, flats)}${Math.floor(midi / 12) - 1}`;
 }
 
-export function pitchClassName(midi) {
-    return PITCH_CLASS_NAMES[midi % 12];
+export function pitchClassName(midi, flats = false) {
+    return (flats ? FLAT_NAMES : PITCH_CLASS_NAMES)[midi % 12];
 }
 
 // --- Scales ---
 
+// `group` sorts the scale menu; the first five match the native app.
 export const SCALES = {
-    minorPentatonic: { name: 'Minor Pentatonic', offsets: [0, 3, 5, 7, 10] },
-    blues:           { name: 'Blues',             offsets: [0, 3, 5, 6, 7, 10] },
-    naturalMinor:    { name: 'Natural Minor',     offsets: [0, 2, 3, 5, 7, 8, 10] },
-    major:           { name: 'Major',             offsets: [0, 2, 4, 5, 7, 9, 11] },
-    majorPentatonic: { name: 'Major Pentatonic',  offsets: [0, 2, 4, 7, 9] },
+    minorPentatonic:  { name: 'Minor Pentatonic',   group: 'Common', offsets: [0, 3, 5, 7, 10] },
+    blues:            { name: 'Blues',              group: 'Common', offsets: [0, 3, 5, 6, 7, 10] },
+    naturalMinor:     { name: 'Natural Minor',      group: 'Common', offsets: [0, 2, 3, 5, 7, 8, 10] },
+    major:            { name: 'Major',              group: 'Common', offsets: [0, 2, 4, 5, 7, 9, 11] },
+    majorPentatonic:  { name: 'Major Pentatonic',   group: 'Common', offsets: [0, 2, 4, 7, 9] },
+    harmonicMinor:    { name: 'Harmonic Minor',     group: 'Common', offsets: [0, 2, 3, 5, 7, 8, 11] },
+    melodicMinor:     { name: 'Melodic Minor',      group: 'Common', offsets: [0, 2, 3, 5, 7, 9, 11] },
+    majorBlues:       { name: 'Major Blues',        group: 'Common', offsets: [0, 2, 3, 4, 7, 9] },
+
+    dorian:           { name: 'Dorian',             group: 'Modes', offsets: [0, 2, 3, 5, 7, 9, 10] },
+    phrygian:         { name: 'Phrygian',           group: 'Modes', offsets: [0, 1, 3, 5, 7, 8, 10] },
+    lydian:           { name: 'Lydian',             group: 'Modes', offsets: [0, 2, 4, 6, 7, 9, 11] },
+    mixolydian:       { name: 'Mixolydian',         group: 'Modes', offsets: [0, 2, 4, 5, 7, 9, 10] },
+    locrian:          { name: 'Locrian',            group: 'Modes', offsets: [0, 1, 3, 5, 6, 8, 10] },
+    phrygianDominant: { name: 'Phrygian Dominant',  group: 'Modes', offsets: [0, 1, 4, 5, 7, 8, 10] },
+    lydianDominant:   { name: 'Lydian Dominant',    group: 'Modes', offsets: [0, 2, 4, 6, 7, 9, 10] },
+    altered:          { name: 'Altered',            group: 'Modes', offsets: [0, 1, 3, 4, 6, 8, 10] },
+
+    wholeTone:        { name: 'Whole Tone',         group: 'Symmetric', offsets: [0, 2, 4, 6, 8, 10] },
+    diminishedHW:     { name: 'Diminished (H-W)',   group: 'Symmetric', offsets: [0, 1, 3, 4, 6, 7, 9, 10] },
+    diminishedWH:     { name: 'Diminished (W-H)',   group: 'Symmetric', offsets: [0, 2, 3, 5, 6, 8, 9, 11] },
+    augmented:        { name: 'Augmented',          group: 'Symmetric', offsets: [0, 3, 4, 7, 8, 11] },
+    chromatic:        { name: 'Chromatic',          group: 'Symmetric', offsets: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+
+    hirajoshi:        { name: 'Hirajoshi',          group: 'World', offsets: [0, 2, 3, 7, 8] },
+    inSen:            { name: 'In Sen',             group: 'World', offsets: [0, 1, 5, 7, 10] },
+    iwato:            { name: 'Iwato',              group: 'World', offsets: [0, 1, 5, 6, 10] },
+    kumoi:            { name: 'Kumoi',              group: 'World', offsets: [0, 2, 3, 7, 9] },
+    pelog:            { name: 'Pelog',              group: 'World', offsets: [0, 1, 3, 7, 8] },
+    egyptian:         { name: 'Egyptian',           group: 'World', offsets: [0, 2, 5, 7, 10] },
+    hungarianMinor:   { name: 'Hungarian Minor',    group: 'World', offsets: [0, 2, 3, 6, 7, 8, 11] },
+    doubleHarmonic:   { name: 'Double Harmonic',    group: 'World', offsets: [0, 1, 4, 5, 7, 8, 11] },
+    neapolitanMinor:  { name: 'Neapolitan Minor',   group: 'World', offsets: [0, 1, 3, 5, 7, 8, 11] },
+    persian:          { name: 'Persian',            group: 'World', offsets: [0, 1, 4, 5, 6, 8, 11] },
+    arabic:           { name: 'Arabic (Maqam Hijaz)', group: 'World', offsets: [0, 1, 4, 5, 7, 8, 10] },
+    gypsy:            { name: 'Gypsy',              group: 'World', offsets: [0, 2, 3, 6, 7, 8, 10] },
 };
 
 export const SCALE_LIST = Object.keys(SCALES);
 
+// --- User-defined scales ---
+// Entered as steps between notes ("2 2 1 2 2 2 1", summing to an octave)
+// or as offsets from the root starting at 0 ("0 2 4 7 9"). Such a scale
+// is identified by its steps (`steps:2-2-1-2-2-2-1`), so the id alone is
+// enough to rebuild it from a shared link.
+
+export class ScaleError extends Error {
+    constructor(text, reason) {
+        super(`${reason}: "${text}"`);
+        this.name = 'ScaleError';
+        this.text = text;
+        this.reason = reason;
+    }
+}
+
+// Parse an interval list. Returns offsets from the root, or throws ScaleError.
+export function parseScale(text) {
+    const tokens = String(text).trim().split(/[\s,;-]+/).filter(Boolean);
+    if (!tokens.length) throw new ScaleError(text, 'No intervals');
+    const numbers = tokens.map(t => {
+        if (!/^\d+$/.test(t)) throw new ScaleError(text, `Not a whole number of semitones (${t})`);
+        return Number(t);
+    });
+
+    let offsets;
+    if (numbers[0] === 0) {
+        offsets = numbers;
+        for (let i = 1; i < offsets.length; i++) {
+            if (offsets[i] <= offsets[i - 1]) throw new ScaleError(text, 'Offsets must rise');
+        }
+        if (offsets.at(-1) > 11) throw new ScaleError(text, 'Offsets must stay within the octave (0–11)');
+    } else {
+        if (numbers.includes(0)) throw new ScaleError(text, 'Steps must be at least 1 semitone');
+        const total = numbers.reduce((a, b) => a + b, 0);
+        if (total !== 12) throw new ScaleError(text, `Steps add up to ${total}, not 12`);
+        offsets = [0];
+        for (const step of numbers.slice(0, -1)) offsets.push(offsets.at(-1) + step);
+    }
+    return offsets;
+}
+
+export function scaleId(offsets) {
+    const steps = offsets.map((o, i) => (offsets[i + 1] ?? 12) - o);
+    return `steps:${steps.join('-')}`;
+}
+
+// Look up a built-in scale or rebuild a user-defined one from its id.
+// Returns null for anything unknown or malformed.
+export function resolveScale(id, name) {
+    if (Object.hasOwn(SCALES, id)) return SCALES[id];
+    if (typeof id !== 'string' || !id.startsWith('steps:')) return null;
+    try {
+        const offsets = parseScale(id.slice(6).replaceAll('-', ' '));
+        return { name: name ?? `Custom ${id.slice(6)}`, group: 'Custom', offsets };
+    } catch (_) {
+        return null;
+    }
+}
+
 export function scalePitch(scale, degree) {
     const n = scale.offsets.length;
     if (n === 0) return 0;
@@ -32,7 +132,278 @@ export function scalePitch(scale, degree) {
     return oct * 12 + scale.offsets[idx];
 }
 
+// --- Chords ---
+// Symbols like `Em`, `D/F#`, `Cmaj7`, `Bbm7b5`, `G13sus4`, `C7(#9)`.
+// A chord is { root, bass, quality, intervals, symbol }: `intervals` are
+// semitones above the root, sorted, starting with 0.
+
+const LETTER_PITCH = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+export class ChordError extends Error {
+    constructor(token, reason, index = -1) {
+        super(`${reason}: "${token}"`);
+        this.name = 'ChordError';
+        this.token = token;
+        this.reason = reason;
+        this.index = index;         // char offset in the chart, or −1
+    }
+}
+
+// Triad shapes; `third`/`fifth` are replaced by sus and alterations.
+const CHORD_QUALITIES = {
+    major:      { third: 4, fifth: 7 },
+    minor:      { third: 3, fifth: 7 },
+    diminished: { third: 3, fifth: 6 },
+    augmented:  { third: 4, fifth: 8 },
+    halfDim:    { third: 3, fifth: 6, seventh: 10 },
+    power:      { third: null, fifth: 7 },
+};
+
+// Quality prefixes, longest first so `maj7` wins over `m`.
+const QUALITY_PREFIXES = [
+    ['maj', 'major'], ['min', 'minor'], ['dim', 'diminished'], ['aug', 'augmented'],
+    ['mi', 'minor'], ['m', 'minor'], ['-', 'minor'], ['°', 'diminished'], ['o', 'diminished'],
+    ['+', 'augmented'], ['ø', 'halfDim'],
+];
+
+const EXTENSION_STEPS = { 9: 14, 11: 17, 13: 21 };
+const ADD_STEPS = { 2: 2, 4: 5, 6: 9, 9: 14, 11: 17, 13: 21 };
+
+// Parses a root/bass note name (`F#`, `Bb`, `E♭`). Returns { pc, length } or null.
+export function parsePitchClass(token) {
+    const base = LETTER_PITCH[token[0]?.toUpperCase()];
+    if (base === undefined) return null;
+    let pc = base, length = 1;
+    for (; length < token.length; length++) {
+        const ch = token[length];
+        if (ch === '#' || ch === '♯') pc++;
+        else if (ch === 'b' || ch === '♭') pc--;
+        else break;
+    }
+    return { pc: ((pc % 12) + 12) % 12, length };
+}
+
+// Parse one chord symbol. Throws ChordError when any part is not understood.
+export function parseChord(symbol) {
+    const token = symbol.trim().replace(/♯/g, '#').replace(/♭/g, 'b').replace('6/9', '69');
+    if (!token) throw new ChordError(symbol, 'Empty chord');
+
+    const slash = token.indexOf('/');
+    const main = slash >= 0 ? token.slice(0, slash) : token;
+    const bassToken = slash >= 0 ? token.slice(slash + 1) : null;
+
+    const root = parsePitchClass(main);
+    if (!root || main[0] !== main[0].toUpperCase()) {
+        throw new ChordError(symbol, 'Unknown chord root');
+    }
+
+    let bass = null;
+    if (bassToken !== null) {
+        const b = parsePitchClass(bassToken);
+        if (!b || b.length !== bassToken.length) throw new ChordError(symbol, 'Unknown bass note');
+        bass = b.pc;
+    }
+
+    const intervals = suffixIntervals(main.slice(root.length).replace(/[()]/g, ''), symbol);
+    return {
+        root: root.pc,
+        bass,
+        quality: intervals.quality,
+        intervals: intervals.notes,
+        symbol: token,
+    };
+}
+
+function suffixIntervals(suffix, symbol) {
+    let rest = suffix;
+    const take = re => {
+        const m = rest.match(re);
+        if (!m) return null;
+        rest = rest.slice(m[0].length);
+        return m;
+    };
+
+    // Power chord: root + fifth only (`E5`).
+    if (rest === '5') return { quality: 'power', notes: [0, 7] };
+
+    let quality = 'major';
+    let seventh = null;
+    let extension = 0;
+
+    // `M7` / `maj9` / `Δ` mean a major seventh on a major triad; a bare
+    // `maj` or `M` (or `M6`) is just major.
+    if (take(/^((maj|Maj|M)(?=7|9|11|13)|Δ)/)) {
+        seventh = 11;
+    } else if (!take(/^(maj|Maj|M)/)) {
+        for (const [prefix, q] of QUALITY_PREFIXES) {
+            if (rest.startsWith(prefix) && !(prefix === 'm' && rest.startsWith('maj'))) {
+                rest = rest.slice(prefix.length);
+                quality = q;
+                break;
+            }
+        }
+        // Minor-major seventh: `mMaj7`, `m(maj7)`.
+        if (quality === 'minor' && take(/^((maj|Maj|M)(?=7|9|11|13)|Δ)/)) seventh = 11;
+    }
+
+    const shape = { ...CHORD_QUALITIES[quality] };
+    if (shape.seventh) seventh = shape.seventh;
+
+    const ext = take(/^(6\/9|69|6|7|9|11|13)/);
+    if (ext) {
+        const n = ext[1];
+        if (n === '6') {
+            extension = -6;
+        } else if (n === '69' || n === '6/9') {
+            extension = -69;
+        } else {
+            extension = Number(n);
+            if (seventh === null) {
+                seventh = quality === 'diminished' ? 9 : 10;
+            }
+        }
+    }
+
+    // Modifiers in any order: `sus2/4`, `add9`, alterations like `b5` or `#9`.
+    const adds = [];
+    const alterations = [];
+    while (rest) {
+        let m;
+        if ((m = take(/^sus(2|4)?/))) {
+            shape.third = m[1] === '2' ? 2 : 5;
+        } else if ((m = take(/^add(2|4|6|9|11|13)/))) {
+            adds.push(ADD_STEPS[m[1]]);
+        } else if ((m = take(/^(b|#)(5|9|11|13)/))) {
+            const delta = m[1] === '#' ? 1 : -1;
+            if (m[2] === '5') shape.fifth = 7 + delta;
+            else alterations.push(EXTENSION_STEPS[m[2]] + delta);
+        } else {
+            throw new ChordError(symbol, 'Unknown chord quality');
+        }
+    }
+    if (quality === 'minor' && shape.fifth === 6 && seventh === 10) quality = 'halfDim';
+
+    const notes = new Set([0]);
+    if (shape.third !== null) notes.add(shape.third);
+    notes.add(shape.fifth);
+    if (extension === -6) notes.add(9);
+    if (extension === -69) { notes.add(9); notes.add(14); }
+    if (seventh !== null && extension !== -6 && extension !== -69) notes.add(seventh);
+    if (extension >= 9) notes.add(14);
+    // 13th chords conventionally drop the 11th (it clashes with the third).
+    if (extension === 11) notes.add(17);
+    if (extension === 13) notes.add(21);
+    for (const a of adds) notes.add(a);
+    for (const a of alterations) {
+        // An altered 9th replaces the natural one.
+        if (a === 13 || a === 15) notes.delete(14);
+        notes.add(a);
+    }
+
+    return { quality, notes: [...notes].sort((a, b) => a - b) };
+}
+
+const BAR_LINE = /^(\|\|?|\|:|:\|)$/;
+
+// Strip surrounding punctuation (quotes, trailing commas) from chart tokens.
+function cleanChordToken(token) {
+    let t = token.replace(/^["'“”‘’[]+|["'“”‘’,.;:\]]+$/g, '');
+    if (t.startsWith('(') && t.endsWith(')')) t = t.slice(1, -1);
+    return t;
+}
+
+// Parse a chord chart such as `Em D C G D/F# | Cmaj7 Asus2 B7 G5`.
+// Never throws: unparseable tokens are reported in `errors` (ChordError)
+// and skipped. Each chord carries its `bar` number and char `index`.
+export function parseChordChart(text) {
+    const chords = [];
+    const errors = [];
+    let bar = 0;
+    let barHasChords = false;
+
+    for (const m of text.matchAll(/\S+/g)) {
+        const raw = m[0];
+        if (BAR_LINE.test(raw)) {
+            if (barHasChords) bar++;
+            barHasChords = false;
+            continue;
+        }
+        const token = cleanChordToken(raw);
+        try {
+            chords.push({ ...parseChord(token), bar, index: m.index, length: raw.length });
+            barHasChords = true;
+        } catch (err) {
+            if (!(err instanceof ChordError)) throw err;
+            errors.push(new ChordError(raw, err.reason, m.index));
+        }
+    }
+    return { chords, errors };
+}
+
+// Voice a chord from `rootMidi` (the bass-register root): the bass note
+// (slash bass placed at or below the root) plus the chord shape an
+// octave up. Returns ascending, de-duplicated MIDI numbers in 0…127.
+export function voiceChord(chord, rootMidi) {
+    const bass = chord.bass === null
+        ? rootMidi
+        : rootMidi - ((chord.root - chord.bass + 12) % 12);
+    const upper = rootMidi + 12;
+    const notes = [bass, ...chord.intervals.map(i => upper + i)];
+    return [...new Set(notes.filter(n => n >= 0 && n <= 127))].sort((a, b) => a - b);
+}
+
+// --- Diatonic chords (Keys mode) ---
+// A chord hit builds the in-key chord on the scale degree of the played
+// note: `degrees` are scale steps above it (0, 2, 4 = a triad in thirds).
+// Power chords ignore the scale.
+
+export const CHORD_MODES = {
+    power:   { name: 'Power' },
+    triad:   { name: 'Triads',          degrees: [0, 2, 4] },
+    seventh: { name: 'Sevenths',        degrees: [0, 2, 4, 6] },
+    sus2:    { name: 'Sus2',            degrees: [0, 1, 4] },
+    sus4:    { name: 'Sus4',            degrees: [0, 3, 4] },
+    open:    { name: 'Open Triads',     degrees: [0, 2, 4],    voicing: 'open' },
+    drop2:   { name: 'Drop-2 Sevenths', degrees: [0, 2, 4, 6], voicing: 'drop2' },
+};
+
+// Close-position chord stacked from `midi` up the scale, or null when
+// `midi` isn't a note of the scale.
+export function diatonicChord(midi, scale, rootPitchClass, degrees) {
+    const rel = ((midi - rootPitchClass) % 12 + 12) % 12;
+    const idx = scale.offsets.indexOf(rel);
+    if (idx < 0) return null;
+    const base = scalePitch(scale, idx);
+    return degrees.map(d => midi + scalePitch(scale, idx + d) - base);
+}
+
+// Fold notes into MIDI's 0–127 by octaves (high voices of a chord on
+// the top keys would otherwise run past 127).
+export function foldIntoRange(notes) {
+    return notes.map(n => {
+        while (n > 127) n -= 12;
+        while (n < 0) n += 12;
+        return n;
+    });
+}
+
+// Spread a close voicing: 'open' lifts the second-lowest voice an octave,
+// 'drop2' lowers the second-highest one. Anything else stays close.
+export function applyVoicing(notes, voicing) {
+    const v = [...notes].sort((a, b) => a - b);
+    if (v.length >= 3 && voicing === 'open') v[1] += 12;
+    if (v.length >= 3 && voicing === 'drop2') v[v.length - 2] -= 12;
+    return v.sort((a, b) => a - b);
+}
+
 // --- Key layouts ---
+// A layout gives each key a degree: its place in `keys` (the first key is
+// the root), or an explicit `degrees` map. Degrees count scale notes in
+// Scale Lock and semitones in Chromatic, except in a `chromatic` layout,
+// whose degrees are always semitones (Scale Lock snaps them into the
+// scale). Keys are named by their position on a US QWERTY keyboard (see
+// QWERTY_ROWS); a `byLetter` layout names them by the letter printed on
+// them instead, and follows the letters on other physical layouts.
 
 export const KEY_LAYOUTS = {
     typewriterLinear: {
@@ -46,6 +417,7 @@ export const KEY_LAYOUTS = {
     },
     melodic: {
         name: 'Melodic',
+        byLetter: true,
         keys: [
             'e','t','a','o','i','n','s','h','r','d','l',
             'c','u','m','w','f','g','y','p','b','v','k',
@@ -53,6 +425,25 @@ export const KEY_LAYOUTS = {
             '1','2','3','4','5','6','7','8','9','0','-','=',
         ],
     },
+    // Two rows like a piano: the home row is the white keys from the
+    // root up, the row above it the black keys between them.
+    piano: {
+        name: 'Piano',
+        chromatic: true,
+        degrees: {
+            a: 0, w: 1, s: 2, e: 3, d: 4, f: 5, t: 6, g: 7, y: 8, h: 9, u: 10, j: 11,
+            k: 12, o: 13, l: 14, p: 15, ';': 16, "'": 17,
+        },
+    },
+    // Isomorphic, Jankó-style: a whole tone between neighbours in a row
+    // and a semitone up to the row below (half a key to the right), so
+    // every other row repeats the notes and a shape plays the same in
+    // every key.
+    janko: {
+        name: 'Jankó Grid',
+        chromatic: true,
+        degrees: {},                    // filled in below
+    },
 };
 
 // Physical QWERTY rows (top to bottom) for the keyboard visualisation.
@@ -63,6 +454,84 @@ export const QWERTY_ROWS = [
     ['z','x','c','v','b','n','m',',','.','/',],
 ];
 
+QWERTY_ROWS.forEach((row, r) => row.forEach((key, c) => {
+    KEY_LAYOUTS.janko.degrees[key] = 2 * c + r;
+}));
+
+// Every playable key, row by row: the order of a key map id.
+export const LAYOUT_KEYS = QWERTY_ROWS.flat();
+
+// --- Physical keyboards ---
+// What is printed on each QWERTY_ROWS position, row by row. Keys are
+// still found by position (event.code), so a layout plays the same
+// shape everywhere; this only relabels the key caps and moves `byLetter`
+// layouts onto the right letters.
+
+export const PHYSICAL_LAYOUTS = {
+    qwerty:  { name: 'QWERTY',  rows: ['1234567890-=', 'qwertyuiop', "asdfghjkl;'", 'zxcvbnm,./'] },
+    azerty:  { name: 'AZERTY',  rows: ['1234567890)=', 'azertyuiop', 'qsdfghjklmù', 'wxcvbn,;:!'] },
+    qwertz:  { name: 'QWERTZ',  rows: ['1234567890ß´', 'qwertzuiop', 'asdfghjklöä', 'yxcvbnm,.-'] },
+    dvorak:  { name: 'Dvorak',  rows: ['1234567890[]', "',.pyfgcrl", 'aoeuidhtns-', ';qjkxbmwvz'] },
+    colemak: { name: 'Colemak', rows: ['1234567890-=', 'qwfpgjluy;', "arstdhneio'", 'zxcvbkm,./'] },
+};
+
+// Position → printed character on physical layout `id`.
+export function keyLabels(id) {
+    const rows = (PHYSICAL_LAYOUTS[id] ?? PHYSICAL_LAYOUTS.qwerty).rows;
+    const labels = {};
+    QWERTY_ROWS.forEach((row, r) => row.forEach((key, c) => { labels[key] = [...rows[r]][c]; }));
+    return labels;
+}
+
+// The physical layout that best matches a keyboard layout map (event.code
+// → character, from navigator.keyboard.getLayoutMap()), judged on the
+// letter rows. Null when none matches most of them.
+export function detectPhysicalLayout(layoutMap) {
+    const codes = Object.keys(CODE_TO_KEY).filter(code => layoutMap.has(code));
+    let best = null, bestScore = 0;
+    for (const id of Object.keys(PHYSICAL_LAYOUTS)) {
+        const labels = keyLabels(id);
+        let score = 0;
+        for (const code of codes) {
+            const key = CODE_TO_KEY[code];
+            if (!/\d/.test(key) && labels[key] === layoutMap.get(code)?.toLowerCase()) score++;
+        }
+        if (score > bestScore) {
+            best = id;
+            bestScore = score;
+        }
+    }
+    return bestScore >= 20 ? best : null;
+}
+
+// --- User-defined key maps ---
+// Any key can be given any degree from 0 to MAX_MAP_DEGREE, counted in
+// scale notes or (a chromatic map) in semitones. A map is identified by
+// one digit per key of LAYOUT_KEYS ('.' for a silent key), after
+// `degrees:` or `semitones:`, so the id alone rebuilds it from a link.
+
+const MAP_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+export const MAX_MAP_DEGREE = MAP_DIGITS.length - 1;
+
+// `degrees` is { key: degree }; keys it leaves out are silent.
+export function layoutId(degrees, chromatic = false) {
+    const digits = LAYOUT_KEYS.map(k => (degrees[k] === undefined ? '.' : MAP_DIGITS[degrees[k]]));
+    return `${chromatic ? 'semitones' : 'degrees'}:${digits.join('')}`;
+}
+
+// Look up a built-in layout or rebuild a key map from its id. Returns
+// null for anything unknown or malformed.
+export function resolveLayout(id, name) {
+    if (Object.hasOwn(KEY_LAYOUTS, id)) return KEY_LAYOUTS[id];
+    const m = typeof id === 'string' ? /^(degrees|semitones):([0-9a-zA-Z.]+)$/.exec(id) : null;
+    if (!m || m[2].length !== LAYOUT_KEYS.length) return null;
+    const degrees = {};
+    LAYOUT_KEYS.forEach((key, i) => {
+        if (m[2][i] !== '.') degrees[key] = MAP_DIGITS.indexOf(m[2][i]);
+    });
+    return { name: name ?? 'Custom Map', chromatic: m[1] === 'semitones', degrees };
+}
+
 // Map physical event.code → logical key character (immune to Alt/Option diacritics).
 export const CODE_TO_KEY = {
     KeyA:'a',KeyB:'b',KeyC:'c',KeyD:'d',KeyE:'e',KeyF:'f',KeyG:'g',KeyH:'h',
@@ -87,14 +556,43 @@ export class NoteMapper {
         this.scale = opts.scale ?? SCALES.minorPentatonic;
         this.octaveOffset = opts.octaveOffset ?? 0;
         this.layout = opts.layout ?? KEY_LAYOUTS.typewriterLinear;
+        this.physical = opts.physical ?? 'qwerty';      // key of PHYSICAL_LAYOUTS
         this._buildIndex();
     }
 
+    // Key (QWERTY position) → degree.
     _buildIndex() {
-        this._col = {};
-        for (let i = 0; i < this.layout.keys.length; i++) {
-            this._col[this.layout.keys[i]] = i;
+        this._labels = keyLabels(this.physical);
+        if (this.layout.degrees) {
+            this._col = { ...this.layout.degrees };
+            return;
         }
+        const keys = this.layout.byLetter ? this._byLetter(this.layout.keys) : this.layout.keys;
+        this._col = {};
+        keys.forEach((key, i) => {
+            if (key !== null) this._col[key] = i;
+        });
+    }
+
+    // Letters → the positions they are printed on. Characters this
+    // keyboard lacks take the positions left over, in order.
+    _byLetter(letters) {
+        const at = Object.fromEntries(Object.entries(this._labels).map(([key, label]) => [label, key]));
+        const keys = letters.map(ch => at[ch] ?? null);
+        const free = LAYOUT_KEYS.filter(key => !keys.includes(key));
+        return keys.map(key => key ?? free.shift() ?? null);
+    }
+
+    // The degree `key` plays, or null for a silent key.
+    degree(key) {
+        return this._col[key] ?? null;
+    }
+
+    // What is printed on a key, upper-cased (but not ß).
+    keyLabel(key) {
+        const label = this._labels[key] ?? key;
+        const upper = label.toUpperCase();
+        return upper.length === 1 ? upper : label;
     }
 
     get baseMidi() {
@@ -105,16 +603,36 @@ export class NoteMapper {
         const col = this._col[key];
         if (col === undefined) return null;
         const base = this.baseMidi;
-        const raw = this.mode === 'musical'
-            ? base + scalePitch(this.scale, col)
-            : base + col;
+        let raw;
+        if (this.mode !== 'musical') raw = base + col;
+        else if (this.layout.chromatic) raw = this.quantize(base + col);
+        else raw = base + scalePitch(this.scale, col);
         return (raw >= 0 && raw <= 127) ? raw : null;
     }
 
+    // Snap an arbitrary MIDI note (e.g. from a MIDI keyboard) into the
+    // current scale; ties resolve downwards. Chromatic mode passes through.
+    quantize(midi) {
+        if (this.mode !== 'musical' || this.scale.offsets.length === 0) return midi;
+        const rel = ((midi - this.rootPitchClass) % 12 + 12) % 12;
+        let best = 0, bestD = 12;
+        for (const o of [...this.scale.offsets, 12]) {
+            const d = Math.abs(o - rel);
+            if (d < bestD) { bestD = d; best = o; }
+        }
+        const snapped = midi - rel + best;
+        return Math.max(0, Math.min(127, snapped));
+    }
+
     setLayout(layout) {
         this.layout = layout;
         this._buildIndex();
     }
+
+    setPhysical(id) {
+        this.physical = id;
+        this._buildIndex();
+    }
 }
 
 // --- Voice-leading ---
@@ -133,4 +651,34 @@ export const VoiceLeading = {
         if (ref == null) return raw;
         return this.nearestOctave(raw % 12, ref);
     },
+
+    // Pick the inversion (and octave) of a close-position chord that moves
+    // least from the `previous` voicing, then apply `voicing`. The lowest
+    // voice stays within an octave of `anchor` (the key's own note) so a
+    // run of chords can't drift off the keyboard. Without a previous
+    // chord the root-position voicing is used.
+    chord(close, previous, { voicing, anchor = close[0] } = {}) {
+        const rootPosition = applyVoicing(close, voicing);
+        if (!previous?.length) return rootPosition;
+
+        // Sum of each voice's distance to the nearest voice of the other chord.
+        const cost = v => {
+            let c = 0;
+            for (const a of v) c += Math.min(...previous.map(b => Math.abs(a - b)));
+            for (const b of previous) c += Math.min(...v.map(a => Math.abs(a - b)));
+            return c;
+        };
+
+        let best = rootPosition, bestCost = cost(rootPosition);
+        for (let inv = 0; inv < close.length; inv++) {
+            const inverted = close.map((p, i) => (i < inv ? p + 12 : p));
+            for (const shift of [-24, -12, 0, 12]) {
+                const v = applyVoicing(inverted.map(p => p + shift), voicing);
+                if (v[0] < 0 || v.at(-1) > 127 || Math.abs(v[0] - anchor) > 12) continue;
+                const c = cost(v);
+                if (c < bestCost) { best = v; bestCost = c; }
+            }
+        }
+        return best;
+    },
 };
@@ -0,0 +1,137 @@
+// pad.js — Touch pad: an XY surface played with fingers, a pen or the mouse.
+//
+// Left to right is pitch, PAD_OCTAVES up from the NoteMapper's root;
+// bottom to top is velocity, as on the native app's touchpad. Every
+// pointer plays its own note. In Scale mode the pad is split into one
+// column per scale note and a pointer sliding across them plays each in
+// turn (a glissando); in Glide mode a pointer keeps its note — started on
+// the nearest scale note — and bends it to follow the finger.
+//
+// Positions are 0–1 from the pad's left and bottom edges; the app turns
+// pointer events into press / move / lift.
+
+import { scalePitch } from './music.js';
+
+export const PAD_MODES = {
+    scale: { name: 'Scale Steps' },
+    glide: { name: 'Glide' },
+};
+
+export const PAD_OCTAVES = 2;
+
+const MIN_VELOCITY = 30;
+
+export class TouchPad {
+    // `out` has noteOn(midi, velocity), noteOff(midi) and
+    // bendNote(midi, cents) — a NoteOutput.
+    constructor(mapper, out) {
+        this.mapper = mapper;
+        this.mode = 'scale';            // key of PAD_MODES
+        this._out = out;
+        this._pointers = new Map();     // pointer id → note it plays
+    }
+
+    // The pad's notes, left to right: the scale (every semitone when
+    // chromatic) over PAD_OCTAVES, up to the root again.
+    get notes() {
+        const m = this.mapper;
+        const base = m.baseMidi;
+        const notes = this._chromatic
+            ? Array.from({ length: 12 * PAD_OCTAVES + 1 }, (_, i) => base + i)
+            : Array.from({ length: m.scale.offsets.length * PAD_OCTAVES + 1 }, (_, i) => base + scalePitch(m.scale, i));
+        return notes.filter(n => n >= 0 && n <= 127);
+    }
+
+    // Where each note sits across the pad (0–1), for drawing: the middle
+    // of its column in Scale mode, its pitch in Glide mode.
+    columns() {
+        const notes = this.notes;
+        if (this.mode === 'glide') {
+            return notes.map(note => ({ note, at: (note - this.mapper.baseMidi) / (12 * PAD_OCTAVES) }));
+        }
+        return notes.map((note, i) => ({ note, at: (i + 0.5) / notes.length }));
+    }
+
+    // Notes the pointers are playing.
+    get activeNotes() {
+        return new Set(this._pointers.values());
+    }
+
+    get _chromatic() {
+        return this.mapper.mode !== 'musical' || this.mapper.scale.offsets.length === 0;
+    }
+
+    press(id, x, y) {
+        this.lift(id);
+        const note = this._noteAt(x);
+        if (note === null) return;
+        this._hold(id, note, y);
+        if (this.mode === 'glide') this._out.bendNote(note, this._centsFrom(note, x));
+    }
+
+    move(id, x, y) {
+        const note = this._pointers.get(id);
+        if (note === undefined) return;
+        if (this.mode === 'glide') {
+            this._out.bendNote(note, this._centsFrom(note, x));
+            return;
+        }
+        const next = this._noteAt(x);
+        if (next === null || next === note) return;
+        this.lift(id);
+        this._hold(id, next, y);
+    }
+
+    lift(id) {
+        const note = this._pointers.get(id);
+        if (note === undefined) return;
+        this._pointers.delete(id);
+        if (!this._held(note)) this._out.noteOff(note);
+    }
+
+    liftAll() {
+        for (const id of [...this._pointers.keys()]) this.lift(id);
+    }
+
+    // Pointers can share a note: it starts with the first one and stops
+    // when the last one lifts.
+    _hold(id, note, y) {
+        const sounding = this._held(note);
+        this._pointers.set(id, note);
+        if (!sounding) this._out.noteOn(note, this._velocity(y));
+    }
+
+    _held(note) {
+        return [...this._pointers.values()].includes(note);
+    }
+
+    // Scale mode: the column under `x`. Glide mode: the scale note
+    // nearest the pitch under `x`.
+    _noteAt(x) {
+        const notes = this.notes;
+        if (!notes.length) return null;
+        if (this.mode === 'glide') {
+            const pitch = this._pitchAt(x);
+            return notes.reduce((best, n) => (Math.abs(n - pitch) < Math.abs(best - pitch) ? n : best));
+        }
+        const i = Math.floor(clamp01(x) * notes.length);
+        return notes[Math.min(i, notes.length - 1)];
+    }
+
+    // Glide mode: the (fractional) MIDI pitch under `x`.
+    _pitchAt(x) {
+        return this.mapper.baseMidi + clamp01(x) * 12 * PAD_OCTAVES;
+    }
+
+    _centsFrom(note, x) {
+        return (this._pitchAt(x) - note) * 100;
+    }
+
+    _velocity(y) {
+        return Math.round(MIN_VELOCITY + clamp01(y) * (127 - MIN_VELOCITY));
+    }
+}
+
+function clamp01(v) {
+    return Math.max(0, Math.min(1, v));
+}
@@ -0,0 +1,196 @@
+// patches.js — Synth patches: the schema of every FM Voice parameter, and
+// custom instruments kept in localStorage (with JSON import/export).
+//
+// A patch is { name, ...params } with the fields of PATCH_PARAMS — the
+// same shape as an INSTRUMENTS entry in audio.js. Saved patches join
+// INSTRUMENTS under `patch:<id>` so the Instrument select, presets, looper
+// layers and effects racks treat them like the built-in ones.
+
+import { INSTRUMENTS, registerInstrument, unregisterInstrument } from './audio.js';
+import { defaultStorage, saveJson } from './storage.js';
+
+const STORAGE_KEY = 'making-music.patches';
+const FILE_FORMAT = 'making-music-patches';
+const MAX_NAME = 60;
+export const PATCH_PREFIX = 'patch:';
+
+export class PatchError extends Error {
+    constructor(message, field = null) {
+        super(message);
+        this.name = 'PatchError';
+        this.field = field;
+    }
+}
+
+// Each parameter is a range { min, max, step, unit }, a toggle or a
+// choice, with the default used when a patch leaves it out. `group` lays
+// out the editor. `distortion` and `reverb` have no control here: they
+// seed the instrument's effects rack (see effects.js).
+export const PATCH_PARAMS = {
+    carrier:      { group: 'Operators', name: 'Carrier', default: 'sine',
+                    options: [['sine', 'Sine'], ['triangle', 'Triangle'], ['sawtooth', 'Saw'], ['square', 'Square']] },
+    fmRatio:      { group: 'Operators', name: 'Ratio', min: 0.25, max: 16, step: 0.25, unit: '×', default: 2 },
+    fmDepth:      { group: 'Operators', name: 'Depth', min: 0, max: 2, step: 0.01, unit: '', default: 0.5 },
+    rich:         { group: 'Operators', name: 'Pair B', toggle: true, default: false },
+    richRatio:    { group: 'Operators', name: 'B Ratio', min: 0.25, max: 20, step: 0.25, unit: '×', default: 4 },
+    richDepth:    { group: 'Operators', name: 'B Depth', min: 0, max: 1, step: 0.01, unit: '', default: 0.1 },
+    richDetune:   { group: 'Operators', name: 'B Detune', min: -50, max: 50, step: 1, unit: 'ct', default: 3 },
+    attack:       { group: 'Envelope', name: 'Attack', min: 0.001, max: 3, step: 0.001, unit: 's', default: 0.005 },
+    decay:        { group: 'Envelope', name: 'Decay', min: 0.01, max: 5, step: 0.01, unit: 's', default: 0.5 },
+    sustain:      { group: 'Envelope', name: 'Sustain', min: 0, max: 1, step: 0.01, unit: '', default: 0.3 },
+    release:      { group: 'Envelope', name: 'Release', min: 0.01, max: 5, step: 0.01, unit: 's', default: 0.4 },
+    filterFreq:   { group: 'Filter', name: 'Cutoff', min: 100, max: 12000, step: 50, unit: 'Hz', default: 4000 },
+    filterQ:      { group: 'Filter', name: 'Resonance', min: 0.1, max: 20, step: 0.1, unit: '', default: 1 },
+    filterEnv:    { group: 'Filter', name: 'Env Amount', min: 0, max: 4, step: 0.05, unit: '', default: 0.6 },
+    vibratoRate:  { group: 'LFO', name: 'Vibrato Rate', min: 0.1, max: 12, step: 0.1, unit: 'Hz', default: 5 },
+    vibratoDepth: { group: 'LFO', name: 'Vibrato Depth', min: 0, max: 100, step: 1, unit: 'ct', default: 0 },
+    tremoloRate:  { group: 'LFO', name: 'Tremolo Rate', min: 0.1, max: 15, step: 0.1, unit: 'Hz', default: 5 },
+    tremoloDepth: { group: 'LFO', name: 'Tremolo Depth', min: 0, max: 1, step: 0.01, unit: '', default: 0 },
+    distortion:   { min: 0, max: 1, default: 0 },
+    reverb:       { min: 0, max: 1, default: 0.25 },
+};
+
+function checkParam(key, v) {
+    const param = PATCH_PARAMS[key];
+    if (param.toggle) return typeof v === 'boolean';
+    if (param.options) return param.options.some(([value]) => value === v);
+    return typeof v === 'number' && v >= param.min && v <= param.max;
+}
+
+function checkName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) throw new PatchError('Patch name is empty', 'name');
+    if (trimmed.length > MAX_NAME) throw new PatchError(`Patch name is longer than ${MAX_NAME} characters`, 'name');
+    return trimmed;
+}
+
+// Every parameter of `raw` (an INSTRUMENTS entry or a patch), with
+// defaults for the ones it leaves out. No validation.
+export function patchParams(raw) {
+    return Object.fromEntries(Object.entries(PATCH_PARAMS).map(([k, p]) => [k, raw?.[k] ?? p.default]));
+}
+
+// Validate one stored or imported patch. Unknown fields are dropped;
+// a known field out of range rejects it. Returns { id, name, ...params }.
+export function validatePatch(raw) {
+    if (!raw || typeof raw !== 'object') throw new PatchError('Patch is not an object');
+    const name = checkName(raw.name);
+    for (const key of Object.keys(PATCH_PARAMS)) {
+        if (raw[key] !== undefined && !checkParam(key, raw[key])) {
+            throw new PatchError(`Patch "${name}": invalid ${key}: ${JSON.stringify(raw[key])}`, key);
+        }
+    }
+    const id = typeof raw.id === 'string' && /^[\w-]{1,32}$/.test(raw.id) ? raw.id : newId();
+    return { id, name, ...patchParams(raw) };
+}
+
+let idCounter = 0;
+function newId() {
+    return `${Date.now().toString(36)}${(idCounter++).toString(36)}`;
+}
+
+export class PatchStore {
+    // Loading registers every saved patch as an instrument.
+    constructor(storage = defaultStorage()) {
+        this._storage = storage;
+        this.patches = this._load();
+        for (const p of this.patches) registerInstrument(PATCH_PREFIX + p.id, p);
+    }
+
+    // The patch behind instrument id `instrument`, or null for a built-in.
+    get(instrument) {
+        if (!instrument.startsWith(PATCH_PREFIX)) return null;
+        const id = instrument.slice(PATCH_PREFIX.length);
+        return this.patches.find(p => p.id === id) ?? null;
+    }
+
+    // Save `params` as a new instrument called `name` (a patch of the same
+    // name is replaced). Returns its instrument id.
+    save(name, params) {
+        const patch = validatePatch({ ...params, name });
+        const existing = this.patches.find(p => p.name === patch.name);
+        if (existing) patch.id = existing.id;
+        this._put(patch);
+        this._persist();
+        return PATCH_PREFIX + patch.id;
+    }
+
+    // Keep an edit of a saved patch, made in place on its INSTRUMENTS entry.
+    update(instrument) {
+        if (this.get(instrument)) this._persist();
+    }
+
+    delete(instrument) {
+        const patch = this.get(instrument);
+        if (!patch) return;
+        this.patches = this.patches.filter(p => p !== patch);
+        unregisterInstrument(instrument);
+        this._persist();
+    }
+
+    // Patch file for the given patches (or INSTRUMENTS entries).
+    toJson(patches) {
+        const list = patches.map(p => ({ name: p.name, ...patchParams(p) }));
+        return JSON.stringify({ format: FILE_FORMAT, version: 1, patches: list }, null, 2);
+    }
+
+    // Add patches from an exported file (or a bare array / single patch).
+    // All-or-nothing: one bad entry rejects the file. Returns the count.
+    importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new PatchError(`Not JSON: ${err.message}`);
+        }
+        if (data?.format !== undefined && data.format !== FILE_FORMAT) {
+            throw new PatchError(`Unknown patch file format: ${data.format}`);
+        }
+        const list = Array.isArray(data) ? data : Array.isArray(data?.patches) ? data.patches : [data];
+        const incoming = list.map(p => validatePatch({ ...p, id: undefined }));
+        for (const p of incoming) {
+            // Same name replaces.
+            const existing = this.patches.find(q => q.name === p.name);
+            if (existing) p.id = existing.id;
+            this._put(p);
+        }
+        this._persist();
+        return incoming.length;
+    }
+
+    _put(patch) {
+        const i = this.patches.findIndex(p => p.id === patch.id);
+        if (i >= 0) this.patches[i] = patch;
+        else this.patches.push(patch);
+        registerInstrument(PATCH_PREFIX + patch.id, patch);
+    }
+
+    _load() {
+        try {
+            const data = JSON.parse(this._storage?.getItem(STORAGE_KEY) ?? '[]');
+            if (!Array.isArray(data)) return [];
+            return data.flatMap(p => {
+                try { return [validatePatch(p)]; } catch (_) { return []; }
+            });
+        } catch (_) {
+            return [];
+        }
+    }
+
+    _persist() {
+        saveJson(this._storage, STORAGE_KEY, this.patches);
+    }
+}
+
+// Built-in instruments as shipped, so live edits to them can be undone.
+const BUILT_IN = Object.fromEntries(Object.entries(INSTRUMENTS).map(([k, p]) => [k, { ...p }]));
+
+// Put a built-in instrument's parameters back as shipped.
+export function revertBuiltIn(instrument) {
+    if (BUILT_IN[instrument]) Object.assign(INSTRUMENTS[instrument], BUILT_IN[instrument]);
+}
+
+export function isEditedBuiltIn(instrument) {
+    const shipped = BUILT_IN[instrument];
+    return !!shipped && Object.keys(PATCH_PARAMS).some(k => INSTRUMENTS[instrument][k] !== shipped[k]);
+}
@@ -0,0 +1,189 @@
+// playalong.js — Play-along scoring: a target sequence laid out on the
+// beat grid, and the grading of every note played against it.
+//
+// A target is { beat, notes, pcs, label, section }: when it is due (beats
+// from the start), the exact MIDI notes it asks for (empty when any octave
+// will do), the pitch classes that count, a label for the lane and the
+// name of the section it belongs to (songbook targets also keep their
+// `chord`). Timing is judged in beats against the tempo clock and
+// reported in seconds, so a tempo change mid-run moves the targets too.
+
+import { noteName } from './music.js';
+import { songSteps, chordTargets } from './songbook.js';
+
+// Timing windows in seconds either side of the target, tightest first.
+export const GRADES = {
+    perfect: { name: 'Perfect', window: 0.05, points: 100 },
+    good:    { name: 'Good',    window: 0.12, points: 70 },
+    ok:      { name: 'OK',      window: 0.25, points: 40 },
+};
+
+const HIT_WINDOW = GRADES.ok.window;
+const OCTAVE_CREDIT = 0.5;      // right note, wrong octave
+const MIDI_SECTION_BARS = 4;
+
+// --- Targets ---
+
+// One target per chord of a songbook entry, a chord per bar (as Text mode
+// plays a chart). The root counts, and so does a slash chord's bass.
+export function targetsFromSong(song, beatsPerBar = 4) {
+    return songSteps(song).map(({ section, chord }, i) => ({
+        beat: i * beatsPerBar,
+        notes: [],
+        pcs: chordTargets(chord),
+        label: chord.symbol,
+        section: song.sections[section].title || song.title,
+        chord,
+    }));
+}
+
+// One target per note-on of a performance ({ events, bpm } as read by
+// smf.js), in sections of four bars.
+export function targetsFromMidi({ events, bpm }, beatsPerBar = 4) {
+    const beatsPerSection = beatsPerBar * MIDI_SECTION_BARS;
+    return events
+        .filter(e => e.type === 'on')
+        .map(e => {
+            const beat = e.time * bpm / 60;
+            const first = Math.floor(beat / beatsPerSection) * MIDI_SECTION_BARS + 1;
+            return {
+                beat,
+                notes: [e.note],
+                pcs: [e.note % 12],
+                label: noteName(e.note),
+                section: `Bars ${first}–${first + MIDI_SECTION_BARS - 1}`,
+            };
+        });
+}
+
+// --- Scoring ---
+
+// The tightest grade whose window holds `error`. Hits are found in beats,
+// so one at the very edge of the window can round just past it in
+// seconds: it still gets the outermost grade.
+function gradeFor(error) {
+    const abs = Math.abs(error);
+    return Object.keys(GRADES).find(g => abs <= GRADES[g].window) ?? 'ok';
+}
+
+export class PlayAlong {
+    constructor(targets) {
+        this.targets = [...targets].sort((a, b) => a.beat - b.beat);
+        this.results = this.targets.map(() => null);    // per target once judged
+        this.wrong = this.targets.map(() => 0);         // wrong notes aimed at it
+        this.extra = 0;                                 // notes near no target
+    }
+
+    get lastBeat() { return this.targets.at(-1)?.beat ?? 0; }
+
+    get done() { return this.results.every(r => r !== null); }
+
+    // Index of the first target not judged yet, or -1.
+    get nextIndex() { return this.results.indexOf(null); }
+
+    // Judge a note played at `beat` (`secondsPerBeat` turns beats into
+    // timing error). Returns { grade, pitch, error, index }:
+    //   grade  key of GRADES, 'wrong' or 'extra'
+    //   pitch  'exact' | 'octave' | 'wrong' | null
+    //   error  seconds, positive = late; null for 'extra'
+    // A right note takes the target; a wrong one leaves it open.
+    hit(note, beat, secondsPerBeat) {
+        const windowBeats = HIT_WINDOW / secondsPerBeat;
+        let best = null;
+        for (let i = 0; i < this.targets.length; i++) {
+            const t = this.targets[i];
+            if (t.beat > beat + windowBeats) break;
+            if (this.results[i] || t.beat < beat - windowBeats) continue;
+            const pitch = t.notes.includes(note) || (!t.notes.length && t.pcs.includes(note % 12))
+                ? 'exact'
+                : t.pcs.includes(note % 12) ? 'octave' : 'wrong';
+            const error = (beat - t.beat) * secondsPerBeat;
+            // Right pitch beats wrong pitch, then the nearer target wins.
+            const rank = (pitch === 'wrong' ? 1 : 0) * 1e3 + Math.abs(error);
+            if (!best || rank < best.rank) best = { i, pitch, error, rank };
+        }
+
+        if (!best) {
+            this.extra++;
+            return { grade: 'extra', pitch: null, error: null, index: -1 };
+        }
+        if (best.pitch === 'wrong') {
+            this.wrong[best.i]++;
+            return { grade: 'wrong', pitch: 'wrong', error: best.error, index: best.i };
+        }
+        const grade = gradeFor(best.error);
+        const points = GRADES[grade].points * (best.pitch === 'octave' ? OCTAVE_CREDIT : 1);
+        this.results[best.i] = { grade, pitch: best.pitch, error: best.error, points };
+        return { grade, pitch: best.pitch, error: best.error, index: best.i };
+    }
+
+    // Mark every open target whose window closed before `beat` as missed.
+    // Returns the indices that were just missed.
+    update(beat, secondsPerBeat) {
+        const windowBeats = HIT_WINDOW / secondsPerBeat;
+        const missed = [];
+        for (let i = 0; i < this.targets.length; i++) {
+            if (this.targets[i].beat >= beat - windowBeats) break;
+            if (this.results[i]) continue;
+            this.results[i] = { grade: 'miss', pitch: null, error: null, points: 0 };
+            missed.push(i);
+        }
+        return missed;
+    }
+
+    // Accuracy and timing per section, in order of first appearance.
+    sectionStats() {
+        const sections = new Map();
+        this.targets.forEach((t, i) => {
+            if (!sections.has(t.section)) sections.set(t.section, []);
+            sections.get(t.section).push(i);
+        });
+        return [...sections].map(([name, indices]) => ({ name, ...this._stats(indices) }));
+    }
+
+    // The whole run, plus a count per grade and the stray notes.
+    summary() {
+        const stats = this._stats(this.targets.map((_, i) => i));
+        const grades = Object.fromEntries(Object.keys(GRADES).map(g => [g, 0]));
+        for (const r of this.results) if (r && grades[r.grade] !== undefined) grades[r.grade]++;
+        return { ...stats, grades, extra: this.extra };
+    }
+
+    // accuracy 0–1; meanError = average |error| and bias = average signed
+    // error (positive = late), both in seconds over the notes hit.
+    _stats(indices) {
+        let points = 0, hit = 0, missed = 0, wrong = 0, absSum = 0, sum = 0;
+        for (const i of indices) {
+            const r = this.results[i];
+            wrong += this.wrong[i];
+            if (!r) continue;
+            points += r.points;
+            if (r.grade === 'miss') {
+                missed++;
+            } else {
+                hit++;
+                absSum += Math.abs(r.error);
+                sum += r.error;
+            }
+        }
+        return {
+            total: indices.length,
+            hit,
+            missed,
+            wrong,
+            accuracy: indices.length ? points / (indices.length * 100) : 0,
+            meanError: hit ? absSum / hit : 0,
+            bias: hit ? sum / hit : 0,
+        };
+    }
+}
+
+// Short feedback for one judged note, e.g. `Good · 64 ms late`.
+export function describeHit(result) {
+    if (result.grade === 'extra') return 'No note due';
+    const ms = Math.round(Math.abs(result.error) * 1000);
+    const timing = ms < 10 ? 'on time' : `${ms} ms ${result.error > 0 ? 'late' : 'early'}`;
+    if (result.grade === 'wrong') return `Wrong note · ${timing}`;
+    const octave = result.pitch === 'octave' ? ' (wrong octave)' : '';
+    return `${GRADES[result.grade].name}${octave} · ${timing}`;
+}
@@ -0,0 +1,317 @@
+// presets.js — Setup state as a shareable URL hash, and user presets,
+// scales and key maps kept in localStorage (presets with JSON
+// import/export).
+//
+// A state is a plain object; every field is optional when applied:
+//   { preset, instrument, scale, mapping, root, layout, voiceLead, powerChords,
+//     chords, strum, octave }
+// A user preset is a state plus { id, name }.
+
+import {
+    KEY_LAYOUTS, PHYSICAL_LAYOUTS, CHORD_MODES, pitchClassName, parsePitchClass, parseScale, scaleId, resolveScale,
+    layoutId, resolveLayout,
+} from './music.js';
+import { INSTRUMENTS } from './audio.js';
+import { defaultStorage, saveJson } from './storage.js';
+
+const STORAGE_KEY = 'making-music.presets';
+const SCALE_STORAGE_KEY = 'making-music.scales';
+const LAYOUT_STORAGE_KEY = 'making-music.layouts';
+const FILE_FORMAT = 'making-music-presets';
+const MAX_NAME = 60;
+
+export class PresetError extends Error {
+    constructor(message, field = null) {
+        super(message);
+        this.name = 'PresetError';
+        this.field = field;
+    }
+}
+
+// Field → check on the decoded value.
+const STATE_FIELDS = {
+    preset:      v => typeof v === 'string' && /^[\w:-]{1,64}$/.test(v),
+    instrument:  v => Object.hasOwn(INSTRUMENTS, v),
+    scale:       v => resolveScale(v) !== null,
+    mapping:     v => v === 'musical' || v === 'chromatic',
+    root:        v => Number.isInteger(v) && v >= 0 && v <= 11,
+    layout:      v => resolveLayout(v) !== null,
+    voiceLead:   v => typeof v === 'boolean',
+    powerChords: v => typeof v === 'boolean',
+    chords:      v => Object.hasOwn(CHORD_MODES, v),
+    strum:       v => Number.isInteger(v) && v >= 0 && v <= 100,
+    octave:      v => Number.isInteger(v) && v >= -3 && v <= 3,
+};
+
+// Keep the known, valid fields of `raw`. Strict mode throws on the first
+// bad value (imports); otherwise bad values are dropped (links).
+export function normalizeState(raw, { strict = true } = {}) {
+    if (!raw || typeof raw !== 'object') throw new PresetError('Preset is not an object');
+    const state = {};
+    for (const [field, valid] of Object.entries(STATE_FIELDS)) {
+        if (raw[field] === undefined) continue;
+        if (valid(raw[field])) state[field] = raw[field];
+        else if (strict) throw new PresetError(`Invalid ${field}: ${JSON.stringify(raw[field])}`, field);
+    }
+    return state;
+}
+
+// --- URL hash ---
+
+// State → `instrument=piano&scale=blues&root=E&…` (no leading '#').
+export function encodeState(state) {
+    const q = new URLSearchParams();
+    for (const field of Object.keys(STATE_FIELDS)) {
+        const v = state[field];
+        if (v === undefined) continue;
+        if (typeof v === 'boolean') q.set(field, v ? '1' : '0');
+        else if (field === 'root') q.set(field, pitchClassName(v));
+        else q.set(field, String(v));
+    }
+    return q.toString();
+}
+
+// Hash → state; unknown or malformed fields are ignored so an old or
+// hand-edited link still loads what it can.
+export function decodeState(hash) {
+    const q = new URLSearchParams(hash.replace(/^#/, ''));
+    const raw = {};
+    for (const [field, value] of q) {
+        if (!Object.hasOwn(STATE_FIELDS, field)) continue;
+        if (field === 'voiceLead' || field === 'powerChords') {
+            raw[field] = value === '1' ? true : value === '0' ? false : value;
+        } else if (field === 'root') {
+            const pc = parsePitchClass(value);
+            raw[field] = pc && pc.length === value.length ? pc.pc : value;
+        } else if (field === 'octave' || field === 'strum') {
+            raw[field] = /^-?\d+$/.test(value) ? Number(value) : value;
+        } else {
+            raw[field] = value;
+        }
+    }
+    return normalizeState(raw, { strict: false });
+}
+
+// --- User presets ---
+
+function checkName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) throw new PresetError('Preset name is empty', 'name');
+    if (trimmed.length > MAX_NAME) throw new PresetError(`Preset name is longer than ${MAX_NAME} characters`, 'name');
+    return trimmed;
+}
+
+// Validate one stored or imported preset. Returns { id, name, ...state }.
+export function validatePreset(raw) {
+    const name = checkName(raw?.name);
+    const { preset, ...state } = normalizeState(raw);
+    for (const field of ['instrument', 'scale', 'layout']) {
+        if (state[field] === undefined) throw new PresetError(`Preset "${name}" has no ${field}`, field);
+    }
+    const id = typeof raw.id === 'string' && raw.id ? raw.id : newId();
+    return { id, name, ...state };
+}
+
+let idCounter = 0;
+function newId() {
+    return `${Date.now().toString(36)}${(idCounter++).toString(36)}`;
+}
+
+export class PresetStore {
+    // `storage` is anything shaped like localStorage (null disables saving).
+    constructor(storage = defaultStorage()) {
+        this._storage = storage;
+        this.presets = this._load();
+    }
+
+    get(id) {
+        return this.presets.find(p => p.id === id) ?? null;
+    }
+
+    // Save the state under `name`, replacing a preset of the same name.
+    save(name, state) {
+        name = checkName(name);
+        const { preset, ...rest } = normalizeState(state);
+        const existing = this.presets.find(p => p.name === name);
+        const entry = { id: existing?.id ?? newId(), name, ...rest };
+        if (existing) this.presets[this.presets.indexOf(existing)] = entry;
+        else this.presets.push(entry);
+        this._persist();
+        return entry;
+    }
+
+    rename(id, name) {
+        const entry = this.get(id);
+        if (!entry) throw new PresetError('No such preset');
+        name = checkName(name);
+        if (this.presets.some(p => p !== entry && p.name === name)) {
+            throw new PresetError(`A preset named "${name}" already exists`, 'name');
+        }
+        entry.name = name;
+        this._persist();
+        return entry;
+    }
+
+    delete(id) {
+        this.presets = this.presets.filter(p => p.id !== id);
+        this._persist();
+    }
+
+    toJson() {
+        return JSON.stringify({ format: FILE_FORMAT, version: 1, presets: this.presets }, null, 2);
+    }
+
+    // Merge presets from an exported file (or a bare array / single preset).
+    // All-or-nothing: one bad entry rejects the file. Returns the count.
+    importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new PresetError(`Not JSON: ${err.message}`);
+        }
+        if (data?.format !== undefined && data.format !== FILE_FORMAT) {
+            throw new PresetError(`Unknown preset file format: ${data.format}`);
+        }
+        const list = Array.isArray(data) ? data : Array.isArray(data?.presets) ? data.presets : [data];
+        const incoming = list.map(validatePreset);
+        for (const p of incoming) {
+            // Same name replaces; a clashing id from another browser gets a new one.
+            const i = this.presets.findIndex(q => q.name === p.name);
+            if (i >= 0) {
+                this.presets[i] = { ...p, id: this.presets[i].id };
+            } else {
+                if (this.get(p.id)) p.id = newId();
+                this.presets.push(p);
+            }
+        }
+        this._persist();
+        return incoming.length;
+    }
+
+    _load() {
+        try {
+            const data = JSON.parse(this._storage?.getItem(STORAGE_KEY) ?? '[]');
+            if (!Array.isArray(data)) return [];
+            // Skip entries that no longer validate (e.g. a removed instrument).
+            return data.flatMap(p => {
+                try { return [validatePreset(p)]; } catch (_) { return []; }
+            });
+        } catch (_) {
+            return [];
+        }
+    }
+
+    _persist() {
+        saveJson(this._storage, STORAGE_KEY, this.presets);
+    }
+}
+
+// --- User scales ---
+
+// Scales entered as interval lists: [{ id: 'steps:…', name }].
+export class ScaleStore {
+    constructor(storage = defaultStorage()) {
+        this._storage = storage;
+        this.scales = this._load();
+    }
+
+    get(id) {
+        return this.scales.find(s => s.id === id) ?? null;
+    }
+
+    // Parse and add a scale (throws ScaleError / PresetError). The same
+    // intervals under a new name just rename the existing entry.
+    add(name, intervals) {
+        name = checkName(name);
+        const id = scaleId(parseScale(intervals));
+        const existing = this.get(id);
+        if (existing) {
+            existing.name = name;
+        } else {
+            this.scales.push({ id, name });
+        }
+        this._persist();
+        return this.get(id);
+    }
+
+    delete(id) {
+        this.scales = this.scales.filter(s => s.id !== id);
+        this._persist();
+    }
+
+    _load() {
+        try {
+            const data = JSON.parse(this._storage?.getItem(SCALE_STORAGE_KEY) ?? '[]');
+            if (!Array.isArray(data)) return [];
+            return data.filter(s => typeof s?.name === 'string' && resolveScale(s.id) !== null);
+        } catch (_) {
+            return [];
+        }
+    }
+
+    _persist() {
+        saveJson(this._storage, SCALE_STORAGE_KEY, this.scales);
+    }
+}
+
+// --- User key maps ---
+
+// Key maps drawn in the editor, [{ id: 'degrees:…', name }], and the physical
+// keyboard of this device: a key of PHYSICAL_LAYOUTS, or 'auto' to ask
+// the browser.
+export class LayoutStore {
+    constructor(storage = defaultStorage()) {
+        this._storage = storage;
+        const { keyboard, layouts } = this._load();
+        this.keyboard = keyboard;
+        this.layouts = layouts;
+    }
+
+    get(id) {
+        return this.layouts.find(l => l.id === id) ?? null;
+    }
+
+    // Add a key map ({ key: degree }, in semitones when `chromatic`). The
+    // same map under a new name just renames the existing entry.
+    add(name, degrees, chromatic) {
+        name = checkName(name);
+        if (!Object.keys(degrees).length) throw new PresetError('The key map plays no notes', 'layout');
+        const id = layoutId(degrees, chromatic);
+        const existing = this.get(id);
+        if (existing) {
+            existing.name = name;
+        } else {
+            this.layouts.push({ id, name });
+        }
+        this._persist();
+        return this.get(id);
+    }
+
+    delete(id) {
+        this.layouts = this.layouts.filter(l => l.id !== id);
+        this._persist();
+    }
+
+    setKeyboard(keyboard) {
+        this.keyboard = keyboard;
+        this._persist();
+    }
+
+    _load() {
+        try {
+            const data = JSON.parse(this._storage?.getItem(LAYOUT_STORAGE_KEY) ?? '{}');
+            const keyboard = Object.hasOwn(PHYSICAL_LAYOUTS, data?.keyboard) ? data.keyboard : 'auto';
+            const layouts = Array.isArray(data?.layouts)
+                ? data.layouts.filter(l => typeof l?.name === 'string' && !Object.hasOwn(KEY_LAYOUTS, l.id) && resolveLayout(l.id) !== null)
+                : [];
+            return { keyboard, layouts };
+        } catch (_) {
+            return { keyboard: 'auto', layouts: [] };
+        }
+    }
+
+    _persist() {
+        saveJson(this._storage, LAYOUT_STORAGE_KEY, { keyboard: this.keyboard, layouts: this.layouts });
+    }
+}
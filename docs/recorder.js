@@ -0,0 +1,120 @@
+// recorder.js — Capture a performance as timestamped note events and play
+// it back through any NoteOutput-like sink (noteOn / noteOff).
+//
+// A take is { events, duration } with events in seconds from the start:
+//   { time, type: 'on' | 'off', note, velocity }
+// This is the same shape smf.js reads and writes.
+
+const now = () => performance.now() / 1000;
+
+export class Recorder {
+    constructor() {
+        this.take = null;
+        this._events = null;
+        this._start = 0;
+        this._open = new Map();         // midi → ons still waiting for an off
+    }
+
+    get isRecording() { return this._events !== null; }
+
+    get elapsed() { return this.isRecording ? now() - this._start : 0; }
+
+    start() {
+        this._events = [];
+        this._open.clear();
+        this._start = now();
+    }
+
+    // Finish the take, closing any notes still held so the file stays balanced.
+    stop() {
+        if (!this.isRecording) return this.take;
+        const end = now() - this._start;
+        for (const [note, count] of this._open) {
+            for (let i = 0; i < count; i++) this._events.push({ time: end, type: 'off', note, velocity: 0 });
+        }
+        // Scheduled notes can land slightly out of order; keep the take sorted.
+        this._events.sort((a, b) => a.time - b.time);
+        if (this._events.length) {
+            this.take = { events: this._events, duration: Math.max(end, this._events.at(-1).time) };
+        }
+        this._events = null;
+        this._open.clear();
+        return this.take;
+    }
+
+    // --- Sink interface (tap on NoteOutput) ---
+
+    // `at` (performance clock, seconds) is given for notes scheduled ahead.
+    noteOn(note, velocity, at = now()) {
+        if (!this.isRecording) return;
+        this._events.push({ time: at - this._start, type: 'on', note, velocity });
+        this._open.set(note, (this._open.get(note) ?? 0) + 1);
+    }
+
+    noteOff(note, at = now()) {
+        if (!this.isRecording || !this._open.get(note)) return;
+        this._events.push({ time: at - this._start, type: 'off', note, velocity: 0 });
+        const left = this._open.get(note) - 1;
+        if (left > 0) this._open.set(note, left);
+        else this._open.delete(note);
+    }
+
+    panic() {
+        if (!this.isRecording) return;
+        for (const note of [...this._open.keys()]) {
+            while (this._open.has(note)) this.noteOff(note);
+        }
+    }
+}
+
+// --- Playback ---
+
+export class Player {
+    constructor(output) {
+        this.output = output;
+        this.onEnd = null;              // () → void, when a take finishes
+        this._timer = null;
+        this._sounding = new Set();
+    }
+
+    get isPlaying() { return this._timer !== null; }
+
+    play(take) {
+        this.stop();
+        if (!take?.events.length) return;
+
+        const events = take.events;
+        const start = now();
+        let i = 0;
+        // One timer per upcoming event, always measured from `start`, so
+        // late timers don't push the rest of the take back.
+        const step = () => {
+            const t = now() - start;
+            while (i < events.length && events[i].time <= t + 0.002) {
+                const e = events[i++];
+                if (e.type === 'on') {
+                    this.output.noteOn(e.note, e.velocity);
+                    this._sounding.add(e.note);
+                } else {
+                    this.output.noteOff(e.note);
+                    this._sounding.delete(e.note);
+                }
+            }
+            if (i >= events.length) {
+                this._timer = null;
+                this.onEnd?.();
+                return;
+            }
+            this._timer = setTimeout(step, Math.max(0, (events[i].time - (now() - start)) * 1000));
+        };
+        this._timer = setTimeout(step, 0);
+    }
+
+    stop() {
+        if (this._timer === null) return;
+        clearTimeout(this._timer);
+        this._timer = null;
+        for (const n of this._sounding) this.output.noteOff(n);
+        this._sounding.clear();
+    }
+}
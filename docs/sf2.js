@@ -0,0 +1,276 @@
+// sf2.js — SoundFont 2 (.sf2) reader, pure JS.
+//
+// A soundfont is read into { name, presets, samples } where `samples` is
+// the raw 16-bit sample pool and each preset is { name, program, bank,
+// regions }. Preset and instrument zones are flattened at load into
+// regions — one per sample a note can trigger — with the SF2 generator
+// rules already applied: instrument zones inherit their global zone,
+// preset zones add to them, and key/velocity ranges intersect. A region:
+//
+//   keyRange, velRange   [lo, hi], inclusive
+//   start, end           sample frames in `samples`
+//   loopStart, loopEnd   frames from `start`; loop = false for one-shots
+//   sampleRate, rootKey, tune (cents), scaleTuning (cents per key)
+//   attenuation (dB), pan (−1…1), filterFc (Hz), filterQ (dB)
+//   volEnv               { delay, attack, hold, decay, release } seconds,
+//                        sustain as a level 0–1
+//
+// Modulators and the modulation envelope / LFOs are not read.
+
+export class SoundFontError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SoundFontError';
+    }
+}
+
+// --- Generators (SF2.01 §8.1.2) ---
+
+const GEN = {
+    startAddrsOffset: 0,
+    endAddrsOffset: 1,
+    startloopAddrsOffset: 2,
+    endloopAddrsOffset: 3,
+    startAddrsCoarseOffset: 4,
+    initialFilterFc: 8,
+    initialFilterQ: 9,
+    endAddrsCoarseOffset: 12,
+    pan: 17,
+    delayVolEnv: 33,
+    attackVolEnv: 34,
+    holdVolEnv: 35,
+    decayVolEnv: 36,
+    sustainVolEnv: 37,
+    releaseVolEnv: 38,
+    instrument: 41,
+    keyRange: 43,
+    velRange: 44,
+    startloopAddrsCoarseOffset: 45,
+    initialAttenuation: 48,
+    endloopAddrsCoarseOffset: 50,
+    coarseTune: 51,
+    fineTune: 52,
+    sampleID: 53,
+    sampleModes: 54,
+    scaleTuning: 56,
+    overridingRootKey: 58,
+};
+
+// Generators a preset zone may set, each added to the instrument's value.
+const PRESET_ADDITIVE = [
+    GEN.initialFilterFc, GEN.initialFilterQ, GEN.pan,
+    GEN.delayVolEnv, GEN.attackVolEnv, GEN.holdVolEnv, GEN.decayVolEnv,
+    GEN.sustainVolEnv, GEN.releaseVolEnv,
+    GEN.initialAttenuation, GEN.coarseTune, GEN.fineTune, GEN.scaleTuning,
+];
+
+const DEFAULTS = {
+    [GEN.initialFilterFc]: 13500,
+    [GEN.delayVolEnv]: -12000,
+    [GEN.attackVolEnv]: -12000,
+    [GEN.holdVolEnv]: -12000,
+    [GEN.decayVolEnv]: -12000,
+    [GEN.releaseVolEnv]: -12000,
+    [GEN.scaleTuning]: 100,
+    [GEN.overridingRootKey]: -1,
+};
+
+const RANGES = new Set([GEN.keyRange, GEN.velRange]);
+const UNSIGNED = new Set([GEN.instrument, GEN.sampleID, GEN.sampleModes]);
+const ROM_SAMPLE = 0x8000;
+
+// --- Reading ---
+
+class Reader {
+    constructor(bytes) {
+        this.b = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    }
+
+    str(pos, len) {
+        let s = '';
+        for (let i = 0; i < len; i++) {
+            const c = this.b[pos + i];
+            if (!c) break;
+            s += String.fromCharCode(c);
+        }
+        return s.trim();
+    }
+
+    // RIFF sub-chunks in [pos, end) as a map of id → { pos, len }; LIST
+    // chunks are keyed by their list type.
+    chunks(pos, end) {
+        const out = {};
+        while (pos + 8 <= end) {
+            const id = this.str(pos, 4);
+            const len = this.view.getUint32(pos + 4, true);
+            if (pos + 8 + len > end) throw new SoundFontError(`Chunk "${id}" runs past the end of the file`);
+            if (id === 'LIST') out[this.str(pos + 8, 4)] = { pos: pos + 12, len: len - 4 };
+            else out[id] = { pos: pos + 8, len };
+            pos += 8 + len + (len & 1);
+        }
+        return out;
+    }
+
+    // Fixed-size records of a pdta sub-chunk.
+    records(chunk, size, read) {
+        if (!chunk || chunk.len % size) throw new SoundFontError('Damaged preset data');
+        const out = [];
+        for (let p = chunk.pos; p < chunk.pos + chunk.len; p += size) out.push(read(p));
+        return out;
+    }
+}
+
+const timecents = tc => Math.min(20, Math.max(0.001, 2 ** (tc / 1200)));
+const centibels = cb => 10 ** (-Math.max(0, cb) / 200);
+
+// Zones from bag and generator lists: zone i of owner k spans
+// bags[owner[k].bag … owner[k + 1].bag). Returns { global, zones } per
+// owner, where `global` is the leading zone without `terminal` (if any).
+function readZones(owners, bags, gens, terminal) {
+    return owners.slice(0, -1).map((owner, k) => {
+        const zones = [];
+        let global = {};
+        for (let b = owner.bag; b < owners[k + 1].bag; b++) {
+            const zone = {};
+            for (let g = bags[b]; g < bags[b + 1]; g++) zone[gens[g].oper] = gens[g].amount;
+            if (zone[terminal] !== undefined) zones.push(zone);
+            else if (b === owner.bag) global = zone;
+        }
+        return { global, zones };
+    });
+}
+
+function intersect(a = [0, 127], b = [0, 127]) {
+    return [Math.max(a[0], b[0]), Math.min(a[1], b[1])];
+}
+
+// One region from an instrument zone (merged with its global zone), the
+// preset zone pointing at it (merged likewise) and the sample header.
+function region(inst, preset, sample) {
+    const g = { ...DEFAULTS, ...inst };
+    for (const oper of PRESET_ADDITIVE) {
+        if (preset[oper] !== undefined) g[oper] = (g[oper] ?? 0) + preset[oper];
+    }
+    const offset = (fine, coarse) => (g[fine] ?? 0) + (g[coarse] ?? 0) * 32768;
+    const start = sample.start + offset(GEN.startAddrsOffset, GEN.startAddrsCoarseOffset);
+    const end = sample.end + offset(GEN.endAddrsOffset, GEN.endAddrsCoarseOffset);
+    const mode = g[GEN.sampleModes] ?? 0;
+    return {
+        keyRange: intersect(inst[GEN.keyRange], preset[GEN.keyRange]),
+        velRange: intersect(inst[GEN.velRange], preset[GEN.velRange]),
+        start,
+        end,
+        loop: mode === 1 || mode === 3,
+        loopStart: sample.loopStart + offset(GEN.startloopAddrsOffset, GEN.startloopAddrsCoarseOffset) - start,
+        loopEnd: sample.loopEnd + offset(GEN.endloopAddrsOffset, GEN.endloopAddrsCoarseOffset) - start,
+        sampleRate: sample.sampleRate,
+        rootKey: g[GEN.overridingRootKey] >= 0 ? g[GEN.overridingRootKey]
+            : sample.originalPitch <= 127 ? sample.originalPitch : 60,
+        tune: (g[GEN.coarseTune] ?? 0) * 100 + (g[GEN.fineTune] ?? 0) + sample.pitchCorrection,
+        scaleTuning: g[GEN.scaleTuning],
+        attenuation: Math.max(0, g[GEN.initialAttenuation] ?? 0) / 10,
+        pan: Math.max(-1, Math.min(1, (g[GEN.pan] ?? 0) / 500)),
+        filterFc: Math.min(20000, 8.176 * 2 ** (g[GEN.initialFilterFc] / 1200)),
+        filterQ: Math.max(0, g[GEN.initialFilterQ] ?? 0) / 10,
+        volEnv: {
+            delay: g[GEN.delayVolEnv] <= -12000 ? 0 : timecents(g[GEN.delayVolEnv]),
+            attack: timecents(g[GEN.attackVolEnv]),
+            hold: g[GEN.holdVolEnv] <= -12000 ? 0 : timecents(g[GEN.holdVolEnv]),
+            decay: timecents(g[GEN.decayVolEnv]),
+            sustain: centibels(g[GEN.sustainVolEnv] ?? 0),
+            release: timecents(g[GEN.releaseVolEnv]),
+        },
+    };
+}
+
+// Decode a .sf2 file (ArrayBuffer or Uint8Array). Returns
+// { name, presets, samples } with presets sorted by bank and program.
+export function readSoundFont(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const r = new Reader(bytes);
+    if (bytes.length < 12 || r.str(0, 4) !== 'RIFF' || r.str(8, 4) !== 'sfbk') {
+        throw new SoundFontError('Not a SoundFont 2 file');
+    }
+    const top = r.chunks(12, Math.min(bytes.length, 8 + r.view.getUint32(4, true)));
+    if (!top.sdta || !top.pdta) throw new SoundFontError('SoundFont has no samples or presets');
+
+    const info = top.INFO ? r.chunks(top.INFO.pos, top.INFO.pos + top.INFO.len) : {};
+    const name = info.INAM ? r.str(info.INAM.pos, info.INAM.len) : '';
+
+    const sdta = r.chunks(top.sdta.pos, top.sdta.pos + top.sdta.len);
+    if (!sdta.smpl) throw new SoundFontError('SoundFont has no sample data');
+    // Copy so the pool is 2-byte aligned whatever the chunk's offset.
+    const samples = new Int16Array(bytes.slice(sdta.smpl.pos, sdta.smpl.pos + (sdta.smpl.len & ~1)).buffer);
+
+    const p = r.chunks(top.pdta.pos, top.pdta.pos + top.pdta.len);
+    const u16 = pos => r.view.getUint16(pos, true);
+    const gen = pos => {
+        const oper = u16(pos);
+        const amount = RANGES.has(oper) ? [bytes[pos + 2], bytes[pos + 3]]
+            : UNSIGNED.has(oper) ? u16(pos + 2) : r.view.getInt16(pos + 2, true);
+        return { oper, amount };
+    };
+
+    const phdr = r.records(p.phdr, 38, pos => ({
+        name: r.str(pos, 20), program: u16(pos + 20), bank: u16(pos + 22), bag: u16(pos + 24),
+    }));
+    const pbag = r.records(p.pbag, 4, u16);
+    const pgen = r.records(p.pgen, 4, gen);
+    const inst = r.records(p.inst, 22, pos => ({ name: r.str(pos, 20), bag: u16(pos + 20) }));
+    const ibag = r.records(p.ibag, 4, u16);
+    const igen = r.records(p.igen, 4, gen);
+    const shdr = r.records(p.shdr, 46, pos => ({
+        name: r.str(pos, 20),
+        start: r.view.getUint32(pos + 20, true),
+        end: r.view.getUint32(pos + 24, true),
+        loopStart: r.view.getUint32(pos + 28, true),
+        loopEnd: r.view.getUint32(pos + 32, true),
+        sampleRate: r.view.getUint32(pos + 36, true),
+        originalPitch: bytes[pos + 40],
+        pitchCorrection: r.view.getInt8(pos + 41),
+        type: u16(pos + 44),
+    }));
+    if (phdr.length < 2 || inst.length < 2) throw new SoundFontError('SoundFont has no presets');
+
+    const instruments = readZones(inst, ibag, igen, GEN.sampleID);
+    const presets = readZones(phdr, pbag, pgen, GEN.instrument).map(({ global, zones }, k) => {
+        const regions = [];
+        for (const pz of zones) {
+            const presetZone = { ...global, ...pz };
+            const instrument = instruments[presetZone[GEN.instrument]];
+            if (!instrument) continue;
+            for (const iz of instrument.zones) {
+                const instZone = { ...instrument.global, ...iz };
+                const sample = shdr[instZone[GEN.sampleID]];
+                if (!sample || sample.type & ROM_SAMPLE || sample.sampleRate < 3000) continue;
+                const reg = region(instZone, presetZone, sample);
+                if (reg.end > reg.start && reg.end <= samples.length
+                    && reg.keyRange[0] <= reg.keyRange[1] && reg.velRange[0] <= reg.velRange[1]) {
+                    regions.push(reg);
+                }
+            }
+        }
+        const { name: presetName, program, bank } = phdr[k];
+        return { name: presetName, program, bank, regions };
+    });
+
+    return {
+        name,
+        presets: presets.filter(pr => pr.regions.length)
+            .sort((a, b) => a.bank - b.bank || a.program - b.program),
+        samples,
+    };
+}
+
+// The preset for a General MIDI program (0-based) in `bank`, or null.
+export function findPreset(font, program, bank = 0) {
+    return font.presets.find(p => p.program === program && p.bank === bank) ?? null;
+}
+
+// Regions of `preset` sounding for `note` at `velocity`.
+export function regionsFor(preset, note, velocity) {
+    return preset.regions.filter(reg =>
+        note >= reg.keyRange[0] && note <= reg.keyRange[1]
+        && velocity >= reg.velRange[0] && velocity <= reg.velRange[1]);
+}
@@ -0,0 +1,204 @@
+// smf.js — Standard MIDI File (.mid) writer and reader, pure JS.
+//
+// Performances are lists of note events in seconds:
+//   { time, type: 'on' | 'off', note, velocity }
+// Files are written as type 1 (a tempo track plus one note track) and
+// read back from type 0 or 1, honouring tempo changes.
+
+const DEFAULT_PPQ = 480;
+
+export class MidiFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MidiFileError';
+    }
+}
+
+// --- Writing ---
+
+function varLen(value) {
+    const bytes = [value & 0x7F];
+    while ((value >>= 7) > 0) bytes.unshift((value & 0x7F) | 0x80);
+    return bytes;
+}
+
+function u32(n) { return [(n >>> 24) & 0xFF, (n >>> 16) & 0xFF, (n >>> 8) & 0xFF, n & 0xFF]; }
+
+function u16(n) { return [(n >> 8) & 0xFF, n & 0xFF]; }
+
+function ascii(s) { return Array.from(s, c => c.charCodeAt(0) & 0x7F); }
+
+function chunk(id, data) { return [...ascii(id), ...u32(data.length), ...data]; }
+
+function metaText(type, text) {
+    const bytes = ascii(text);
+    return [0x00, 0xFF, type, ...varLen(bytes.length), ...bytes];
+}
+
+// Encode events as a type-1 SMF. Returns a Uint8Array.
+export function writeMidiFile(events, opts = {}) {
+    const bpm = opts.bpm ?? 120;
+    const ppq = opts.ppq ?? DEFAULT_PPQ;
+    const channel = opts.channel ?? 0;
+    const [num, den] = opts.timeSignature ?? [4, 4];
+    const ticksPerSecond = ppq * bpm / 60;
+
+    // Track 0: tempo map (constant tempo) and time signature.
+    const usPerBeat = Math.round(60_000_000 / bpm);
+    const tempoTrack = [
+        ...metaText(0x03, opts.name ?? 'Making Music'),
+        0x00, 0xFF, 0x51, 0x03, (usPerBeat >> 16) & 0xFF, (usPerBeat >> 8) & 0xFF, usPerBeat & 0xFF,
+        0x00, 0xFF, 0x58, 0x04, num, Math.log2(den), 24, 8,
+        0x00, 0xFF, 0x2F, 0x00,
+    ];
+
+    // Track 1: notes, sorted by tick; ties keep recorded order so a
+    // re-strike's note-off still precedes its note-on.
+    const sorted = events
+        .map((e, i) => ({ ...e, i, tick: Math.max(0, Math.round(e.time * ticksPerSecond)) }))
+        .sort((a, b) => a.tick - b.tick || a.i - b.i);
+
+    const noteTrack = [...metaText(0x03, opts.trackName ?? 'Keys')];
+    let lastTick = 0;
+    for (const e of sorted) {
+        const status = (e.type === 'on' ? 0x90 : 0x80) | channel;
+        const vel = e.type === 'on' ? Math.max(1, Math.min(127, Math.round(e.velocity ?? 80))) : 0;
+        noteTrack.push(...varLen(e.tick - lastTick), status, e.note & 0x7F, vel);
+        lastTick = e.tick;
+    }
+    noteTrack.push(0x00, 0xFF, 0x2F, 0x00);
+
+    return new Uint8Array([
+        ...chunk('MThd', [...u16(1), ...u16(2), ...u16(ppq)]),
+        ...chunk('MTrk', tempoTrack),
+        ...chunk('MTrk', noteTrack),
+    ]);
+}
+
+// --- Reading ---
+
+class Reader {
+    constructor(bytes) {
+        this.b = bytes;
+        this.pos = 0;
+    }
+
+    get done() { return this.pos >= this.b.length; }
+
+    need(n) {
+        if (this.pos + n > this.b.length) throw new MidiFileError('Unexpected end of file');
+    }
+
+    u8() { this.need(1); return this.b[this.pos++]; }
+
+    u16() { this.need(2); const v = (this.b[this.pos] << 8) | this.b[this.pos + 1]; this.pos += 2; return v; }
+
+    u32() { return (this.u16() * 0x10000) + this.u16(); }
+
+    str(n) { this.need(n); const s = String.fromCharCode(...this.b.subarray(this.pos, this.pos + n)); this.pos += n; return s; }
+
+    varLen() {
+        let v = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = this.u8();
+            v = (v << 7) | (byte & 0x7F);
+            if (!(byte & 0x80)) return v;
+        }
+        throw new MidiFileError('Bad variable-length quantity');
+    }
+}
+
+// Parse one MTrk body into tick-stamped raw events.
+function readTrack(r, end) {
+    const out = [];
+    let tick = 0;
+    let running = null;
+    while (r.pos < end) {
+        tick += r.varLen();
+        let status = r.b[r.pos];
+        if (status & 0x80) {
+            r.pos++;
+        } else {
+            if (running === null) throw new MidiFileError('Running status without a status byte');
+            status = running;
+        }
+
+        if (status === 0xFF) {
+            const type = r.u8();
+            const len = r.varLen();
+            r.need(len);
+            const data = r.b.subarray(r.pos, r.pos + len);
+            r.pos += len;
+            if (type === 0x51 && len === 3) {
+                out.push({ tick, tempo: (data[0] << 16) | (data[1] << 8) | data[2] });
+            }
+            if (type === 0x2F) break;
+            continue;
+        }
+        if (status === 0xF0 || status === 0xF7) {
+            r.pos += r.varLen();
+            continue;
+        }
+
+        running = status;
+        const type = status & 0xF0;
+        const a = r.u8();
+        const b = (type === 0xC0 || type === 0xD0) ? 0 : r.u8();
+        if (type === 0x90 && b > 0) {
+            out.push({ tick, type: 'on', note: a, velocity: b, channel: status & 0x0F });
+        } else if (type === 0x80 || type === 0x90) {
+            out.push({ tick, type: 'off', note: a, velocity: 0, channel: status & 0x0F });
+        }
+    }
+    r.pos = end;
+    return out;
+}
+
+// Decode a .mid file (ArrayBuffer or Uint8Array). Returns
+// { events, duration, bpm } with event times in seconds, merged and sorted.
+export function readMidiFile(data) {
+    const r = new Reader(data instanceof Uint8Array ? data : new Uint8Array(data));
+    if (r.str(4) !== 'MThd') throw new MidiFileError('Not a MIDI file');
+    const headerLen = r.u32();
+    const format = r.u16();
+    const trackCount = r.u16();
+    const division = r.u16();
+    r.pos = 8 + headerLen;
+
+    if (format > 1) throw new MidiFileError(`MIDI file format ${format} is not supported`);
+    if (division & 0x8000) throw new MidiFileError('SMPTE time division is not supported');
+    if (division === 0) throw new MidiFileError('MIDI file has a time division of 0');
+
+    const raw = [];
+    for (let t = 0; t < trackCount && !r.done; t++) {
+        const id = r.str(4);
+        const len = r.u32();
+        const end = r.pos + len;
+        if (id !== 'MTrk') { r.pos = end; continue; }
+        raw.push(...readTrack(r, Math.min(end, r.b.length)));
+    }
+    raw.sort((a, b) => a.tick - b.tick);
+
+    // Walk the merged stream converting ticks to seconds through the tempo map.
+    let usPerBeat = 500_000;
+    let firstTempo = null;
+    let lastTick = 0;
+    let seconds = 0;
+    const events = [];
+    for (const e of raw) {
+        seconds += (e.tick - lastTick) * usPerBeat / division / 1_000_000;
+        lastTick = e.tick;
+        if (e.tempo !== undefined) {
+            usPerBeat = e.tempo;
+            firstTempo ??= e.tempo;
+            continue;
+        }
+        events.push({ time: seconds, type: e.type, note: e.note, velocity: e.velocity });
+    }
+
+    return {
+        events,
+        duration: events.length ? events[events.length - 1].time : 0,
+        bpm: Math.round(60_000_000 / (firstTempo ?? 500_000)),
+    };
+}
@@ -0,0 +1,242 @@
+// songbook.js — Practice Songbook: chord sheets annotated with the key to
+// press for each chord under the current layout, scale and octave.
+//
+// A song is { title, preset, sections: [{ title, lines }] } where each line
+// is { chart, lyrics }: a chord chart line (`Em D C G | Em D C G`) and the
+// words sung under it ('' for none). Songs are written in a plain text
+// format that is also what the "paste chord chart" box accepts:
+//
+//   [Verse]                         section header (or `Verse:`)
+//   G        C      G               chords above…
+//   Amazing grace, how sweet the    …the lyrics they go with
+//   [G]Amazing [C]grace             or ChordPro-style inline chords
+//
+// Any line where every word is a chord (or a bar line) is a chord line;
+// other lines are lyrics. Charts without headers land in one section.
+
+import { parseChord, parseChordChart, ChordError, QWERTY_ROWS } from './music.js';
+
+// Ported from the native app's Practice menu; `preset` is applied on load.
+export const SONGBOOK = {
+    nothingElseMatters: {
+        title: 'Nothing Else Matters',
+        preset: 'rockGuitar',
+        text: `
+[Intro pick (Chords off)]
+E B G B | E B G B
+[Chord loop A]
+Em D C G | Em D C G
+[Chord loop B]
+C G D Em | C G D Em`,
+    },
+    freeBird: {
+        title: 'Free Bird',
+        preset: 'rockGuitar',
+        text: `
+[Chord loop A]
+G D/F# Em F C D | G D/F# Em F C D
+[Chord loop B]
+G D Em | G D Em`,
+    },
+    sweetChildOMine: {
+        title: "Sweet Child O' Mine",
+        preset: 'rockGuitar',
+        text: `
+[Verse loop]
+D C G D | D C G D
+[Chorus loop]
+A C D | A C D`,
+    },
+    novemberRain: {
+        title: 'November Rain',
+        preset: 'rockGuitar',
+        text: `
+[Chord loop A]
+C G Am F | C G Am F
+[Chord loop B]
+F C G Am | F C G Am`,
+    },
+    babaORiley: {
+        title: "Baba O'Riley",
+        preset: 'rockGuitar',
+        text: `
+[Main loop]
+F C Bb | F C Bb | F C Bb
+[Alt loop]
+C Bb F | C Bb F`,
+    },
+    highwayToHell: {
+        title: 'Highway to Hell',
+        preset: 'rockGuitar',
+        text: `
+[Riff loop]
+A D/F# G D/F# G | A D/F# G D/F# G
+[Chorus loop]
+D G D A | D G D A`,
+    },
+    withArmsWideOpen: {
+        title: 'With Arms Wide Open',
+        preset: 'rockGuitar',
+        text: `
+[Chord loop A]
+C C/B Am | F C | E D | C C/B Am
+[Chord loop B]
+F C G | F C G`,
+    },
+    amazingGrace: {
+        title: 'Amazing Grace',
+        preset: 'grandPiano',
+        text: `
+[Verse]
+G           C       G
+Amazing grace, how sweet the sound
+G                 D
+That saved a wretch like me
+G          C        G
+I once was lost, but now am found
+Em      D        G
+Was blind, but now I see`,
+    },
+};
+
+// --- Parsing ---
+
+const BAR = /^(\|\|?|\|:|:\|)$/;
+const HEADER = /^\[([^\]]+)\]$|^([A-Za-z][\w '()-]{0,40}):$/;
+const INLINE_CHORD = /\[([^\]\s]+)\]/g;
+
+function isChord(token) {
+    try {
+        parseChord(token);
+        return true;
+    } catch (err) {
+        if (err instanceof ChordError) return false;
+        throw err;
+    }
+}
+
+function isChordLine(line) {
+    const tokens = line.trim().split(/\s+/);
+    return tokens.some(t => !BAR.test(t)) && tokens.every(t => BAR.test(t) || isChord(t));
+}
+
+// Parse songbook text into { title, preset, sections }. Never throws;
+// a chart with no chords at all gives an empty section list.
+export function parseSong(text, title = 'Pasted Chart', preset = null) {
+    const sections = [];
+    let section = null;
+    let pending = null;         // chord line still waiting for its lyrics
+
+    const line = (chart, lyrics) => {
+        if (!section) {
+            section = { title: '', lines: [] };
+            sections.push(section);
+        }
+        const entry = { chart, lyrics };
+        section.lines.push(entry);
+        return entry;
+    };
+
+    for (const raw of text.split(/\r?\n/)) {
+        const trimmed = raw.trim();
+        if (!trimmed) {
+            pending = null;
+            continue;
+        }
+        const header = trimmed.match(HEADER);
+        if (header && !isChord(header[1] ?? header[2])) {
+            section = { title: (header[1] ?? header[2]).trim(), lines: [] };
+            sections.push(section);
+            pending = null;
+        } else if (isChordLine(trimmed)) {
+            pending = line(trimmed.split(/\s+/).join(' '), '');
+        } else if ([...trimmed.matchAll(INLINE_CHORD)].some(m => isChord(m[1]))) {
+            const chords = [...trimmed.matchAll(INLINE_CHORD)].map(m => m[1]).filter(isChord);
+            line(chords.join(' '), trimmed.replace(INLINE_CHORD, '').replace(/\s+/g, ' ').trim());
+            pending = null;
+        } else if (pending && !pending.lyrics) {
+            pending.lyrics = trimmed;
+            pending = null;
+        } else {
+            line('', trimmed);
+        }
+    }
+
+    // Drop headers that never got any chords.
+    const kept = sections.filter(s => s.lines.some(l => l.chart));
+    return { title, preset, sections: kept };
+}
+
+// Every chord of the song in playing order:
+// [{ section, line, chord }] with indices into song.sections / lines.
+export function songSteps(song) {
+    const steps = [];
+    song.sections.forEach((s, section) => {
+        s.lines.forEach((l, line) => {
+            for (const chord of parseChordChart(l.chart).chords) steps.push({ section, line, chord });
+        });
+    });
+    return steps;
+}
+
+// Pitch classes to play for a chord, in order: the bass of a slash
+// chord first, then the root.
+export function chordTargets(chord) {
+    return chord.bass !== null && chord.bass !== chord.root ? [chord.bass, chord.root] : [chord.root];
+}
+
+// --- Solver ---
+
+// Home row first, then the rows above and below, then the number row:
+// the order a tie in distance is broken in.
+const ROW_PREFERENCE = [2, 1, 3, 0].map(i => QWERTY_ROWS[i]);
+
+// The key that plays pitch class `pc` closest to `preferredMidi` under the
+// mapper's current layout, scale and octave, or null when no key does
+// (e.g. a chord root outside the scale in Scale Lock).
+export function keyForPitchClass(mapper, pc, preferredMidi) {
+    let best = null, bestScore = Infinity;
+    ROW_PREFERENCE.forEach((row, r) => {
+        for (const key of row) {
+            const midi = mapper.midiNote(key);
+            if (midi === null || midi % 12 !== pc) continue;
+            const score = Math.abs(midi - preferredMidi) * 10 + r;
+            if (score < bestScore) {
+                bestScore = score;
+                best = key;
+            }
+        }
+    });
+    return best;
+}
+
+// Keys for each of chordTargets(chord): bass notes are looked for around
+// the bottom of the keyboard, roots an octave up.
+export function chordKeys(mapper, chord) {
+    const targets = chordTargets(chord);
+    return targets.map((pc, i) => {
+        const isBass = targets.length > 1 && i === 0;
+        return keyForPitchClass(mapper, pc, mapper.baseMidi + (isBass ? 0 : 12));
+    });
+}
+
+// `Em[d]`, or `D/F#[f→d]` for a slash chord; `?` marks a missing key.
+// Given the mapper, keys are shown as printed on its physical keyboard.
+export function formatHint(chord, keys, mapper = null) {
+    const label = k => (mapper ? mapper.keyLabel(k).toLowerCase() : k);
+    return `${chord.symbol}[${keys.map(k => (k ? label(k) : '?')).join('→')}]`;
+}
+
+// A whole chart line as practice text: `Em[d]  D[s]  |  C[a]  G[g]`.
+export function practiceLine(chart, mapper) {
+    const out = [];
+    let bar = 0;
+    for (const chord of parseChordChart(chart).chords) {
+        if (chord.bar !== bar) {
+            out.push('|');
+            bar = chord.bar;
+        }
+        out.push(formatHint(chord, chordKeys(mapper, chord), mapper));
+    }
+    return out.join('  ');
+}
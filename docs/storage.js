@@ -0,0 +1,24 @@
+// storage.js — localStorage access shared by every store (presets, scales,
+// key maps, shortcuts, drum patterns, effects racks and patches).
+//
+// Stores take anything shaped like localStorage, or null to keep nothing,
+// so they work the same in a sandboxed frame and without a browser.
+
+// localStorage, or null where the browser refuses it (sandboxed frames).
+export function defaultStorage() {
+    try {
+        return globalThis.localStorage ?? null;
+    } catch (_) {
+        return null;
+    }
+}
+
+// Keep `value` as JSON under `key`. Storage full or blocked is not an
+// error: the change still applies this session.
+export function saveJson(storage, key, value) {
+    try {
+        storage?.setItem(key, JSON.stringify(value));
+    } catch (_) {
+        // Not saved.
+    }
+}
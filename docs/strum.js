@@ -0,0 +1,57 @@
+// strum.js — Guitar-style strumming for chord hits.
+//
+// Instead of sounding every note of a chord at the same instant, each
+// string follows the previous one by `spread` milliseconds: low to high on
+// a downstroke, high to low on an upstroke. Humanise adds a little timing
+// and velocity wobble per string so repeated hits don't sound stamped out.
+
+export const STRUM_DIRECTIONS = {
+    down:      { name: 'Down' },
+    up:        { name: 'Up' },
+    alternate: { name: 'Alternate' },
+};
+
+export class Strummer {
+    // `random` returns [0, 1); pass a seeded one for repeatable output.
+    constructor(random = Math.random) {
+        this.spread = 0;                // ms between strings; 0 = all at once
+        this.direction = 'alternate';   // key of STRUM_DIRECTIONS
+        this.humanize = 0;              // 0–1
+        this._random = random;
+        this._down = true;              // next stroke when alternating
+    }
+
+    // Plan one hit of `notes` (any voicing). Returns
+    // [{ note, velocity, offset }] with offsets in seconds from the hit.
+    strum(notes, velocity) {
+        const sorted = [...notes].sort((a, b) => a - b);
+        if (sorted.length < 2 || this.spread <= 0) {
+            return sorted.map(note => ({ note, velocity, offset: 0 }));
+        }
+
+        let down = this.direction !== 'up';
+        if (this.direction === 'alternate') {
+            down = this._down;
+            this._down = !this._down;
+        }
+        const order = down ? sorted : sorted.reverse();
+        const step = this.spread / 1000;
+        const wobble = () => (this._random() * 2 - 1) * this.humanize;
+
+        return order.map((note, i) => {
+            // The first string lands on the beat; the rest drift by up to
+            // half a step either way.
+            const offset = i === 0 ? 0 : Math.max(0, i * step + wobble() * step * 0.5);
+            // The pick loses a little energy per string, and upstrokes
+            // (which catch fewer strings cleanly) are lighter.
+            const accent = (down ? 1 : 0.85) * (1 - 0.04 * i);
+            const vel = velocity * accent + wobble() * 12;
+            return { note, velocity: Math.max(1, Math.min(127, Math.round(vel))), offset };
+        });
+    }
+
+    // Start the next alternating strum on a downstroke.
+    reset() {
+        this._down = true;
+    }
+}
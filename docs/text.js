@@ -0,0 +1,488 @@
+// text.js — Text mode: reads a typed script one character per grid tick
+// and performs it over a chord chart. Ported from TextMusicPerformer (Swift).
+//
+// Playback is deterministic: velocities are derived from a virtual clock
+// that advances exactly one grid interval per tick, so the same script,
+// chart and settings always produce the same notes.
+
+import { parseChordChart, voiceChord } from './music.js';
+
+// --- Options ---
+
+export const SCRIPT_STYLES = {
+    balladPick: { name: 'Ballad Pick' },
+    rockStrum:  { name: 'Rock Strum' },
+    powerChug:  { name: 'Power Chug' },
+    synthPulse: { name: 'Synth Pulse' },
+};
+
+export const TIMING_GRIDS = {
+    eighths:    { name: '8ths',     perBeat: 2, ticksPerBar: 8 },
+    sixteenths: { name: '16ths',    perBeat: 4, ticksPerBar: 16 },
+    triplets:   { name: 'Triplets', perBeat: 3, ticksPerBar: 12 },
+};
+
+export const CHORD_ADVANCE = {
+    everyBar: { name: 'Every bar' },
+    onSpaces: { name: 'On spaces' },
+};
+
+// --- Character helpers ---
+
+function isVowel(ch) {
+    return 'aeiou'.includes(ch.toLowerCase());
+}
+
+function isUppercaseLetter(ch) {
+    return ch >= 'A' && ch <= 'Z';
+}
+
+function isBoundaryPunctuation(ch) {
+    return ',?;:|'.includes(ch);
+}
+
+function characterIndex(ch) {
+    const code = ch.toLowerCase().charCodeAt(0);
+    if (code > 127) return 0;
+    if (code >= 97 && code <= 122) return code - 97;     // a-z
+    if (code >= 48 && code <= 57) return 26 + code - 48; // 0-9
+    return code;
+}
+
+// Counts consecutive '-' characters after `index` (never wraps).
+function holdRunLength(index, chars) {
+    let count = 0;
+    for (let i = index + 1; i < chars.length && chars[i] === '-'; i++) count++;
+    return count;
+}
+
+function uniqueSorted(notes) {
+    return [...new Set(notes.filter(n => n >= 0 && n <= 127))].sort((a, b) => a - b);
+}
+
+// --- Performer ---
+
+export class TextPerformer {
+    // `audio` needs noteOn(midi, vel) / noteOff(midi); `mapper` supplies
+    // the root pitch class and octave (NoteMapper).
+    constructor(audio, mapper) {
+        this.audio = audio;
+        this.mapper = mapper;
+
+        this.bpm = 140;
+        this.grid = 'sixteenths';
+        this.style = 'balladPick';
+        this.chordAdvance = 'everyBar';
+        this.powerChords = false;
+        this.baseVelocity = 90;
+
+        this.onTick = null;             // (performer) → void, after each tick
+
+        this._chars = [];
+        this._chords = [];
+        this.chartErrors = [];          // ChordError per skipped chart token
+        this._timer = null;
+        this._generation = 0;
+        this._refCount = new Map();     // midi → overlapping transient count
+        this._capture = null;           // event list while running toEvents()
+        this.restart();
+    }
+
+    get isPlaying() { return this._timer !== null; }
+
+    get scriptIndex() { return this._scriptIndex; }
+
+    get currentChord() { return this._chords[this._chartIndex] ?? null; }
+
+    get chordCount() { return this._chords.length; }
+
+    get chordIndex() { return this._chartIndex; }
+
+    setScript(text) {
+        this._chars = Array.from(text);
+        this._scriptIndex = this._chars.length
+            ? Math.min(this._scriptIndex, this._chars.length - 1)
+            : 0;
+    }
+
+    setChordChart(text) {
+        const { chords, errors } = parseChordChart(text);
+        this._chords = chords;
+        this.chartErrors = errors;
+        this._chartIndex = this._chords.length
+            ? Math.min(this._chartIndex, this._chords.length - 1)
+            : 0;
+    }
+
+    get intervalSeconds() {
+        const g = TIMING_GRIDS[this.grid] ?? TIMING_GRIDS.sixteenths;
+        return 60 / Math.max(40, this.bpm) / g.perBeat;
+    }
+
+    get ticksPerBar() {
+        return (TIMING_GRIDS[this.grid] ?? TIMING_GRIDS.sixteenths).ticksPerBar;
+    }
+
+    restart() {
+        this._scriptIndex = 0;
+        this._tickIndex = 0;
+        this._chartIndex = 0;
+        this._virtualTime = 0;
+        this._lastVelTime = null;
+        this._lastMelodyNote = null;
+        this._lastMelodyChord = null;
+        this._generation++;
+    }
+
+    play() {
+        if (this._timer !== null) return;
+        this.restart();
+        const generation = this._generation;
+        let next = performance.now();
+        const loop = () => {
+            if (generation !== this._generation) return;
+            const interval = this.intervalSeconds;
+            this.tick();
+            // Schedule against absolute time so setTimeout jitter doesn't accumulate.
+            next += interval * 1000;
+            this._timer = setTimeout(loop, Math.max(0, next - performance.now()));
+        };
+        this._timer = setTimeout(loop, 0);
+    }
+
+    stop() {
+        this._generation++;
+        clearTimeout(this._timer);
+        this._timer = null;
+        for (const n of this._refCount.keys()) this.audio.noteOff(n);
+        this._refCount.clear();
+    }
+
+    // Advance one grid tick: play the current character, then move on.
+    tick() {
+        const interval = this.intervalSeconds;
+        try {
+            this._playTick(interval);
+        } finally {
+            this._tickIndex++;
+            this._virtualTime += interval;
+            if (this._chars.length) {
+                this._scriptIndex = (this._scriptIndex + 1) % this._chars.length;
+            }
+            if (!this._capture) this.onTick?.(this);
+        }
+    }
+
+    _playTick(interval) {
+        if (!this._chars.length || !this._chords.length) return;
+
+        let baseVel = null;
+        const velocity = accent => {
+            if (baseVel === null) baseVel = this._nextVelocity(this._virtualTime);
+            return accent ? Math.min(127, baseVel + 24) : baseVel;
+        };
+
+        const barLength = this.ticksPerBar;
+        const tickInBar = this._tickIndex % barLength;
+
+        const prevChord = this._chartIndex;
+        if (this.chordAdvance === 'everyBar') {
+            this._chartIndex = Math.floor(this._tickIndex / barLength) % this._chords.length;
+        }
+        const chord = this._chords[this._chartIndex];
+        if (this._chartIndex !== prevChord) {
+            this._lastMelodyNote = null;
+            this._lastMelodyChord = null;
+            this._playBass(chord, velocity(false));
+        }
+
+        const index = Math.min(this._scriptIndex, this._chars.length - 1);
+        const ch = this._chars[index];
+
+        if (/\s/.test(ch)) {
+            if (this.chordAdvance === 'everyBar') {
+                this._playBass(chord, velocity(false));
+            } else {
+                this._playChordHit(chord, velocity(false), true);
+                this._chartIndex = (this._chartIndex + 1) % this._chords.length;
+            }
+            return;
+        }
+        if (ch === ',' || ch === '-') return;
+
+        const holdFloor = this._holdFloor(holdRunLength(index, this._chars), tickInBar, barLength, interval);
+
+        if (ch === '.') {
+            this._playResolve(velocity(false), holdFloor);
+            return;
+        }
+        if (ch === '!') {
+            this._playChordHit(chord, velocity(true), true, holdFloor);
+            return;
+        }
+        if (isBoundaryPunctuation(ch)) return;
+
+        const vel = velocity(isUppercaseLetter(ch));
+        switch (this.style) {
+            case 'rockStrum':
+                this._playRockStrum(ch, chord, tickInBar, vel, interval, holdFloor);
+                break;
+            case 'powerChug':
+                this._playPowerChug(chord, vel, interval, holdFloor);
+                break;
+            case 'synthPulse':
+                this._playSynthPulse(ch, chord, tickInBar, barLength, vel, interval, holdFloor);
+                break;
+            default:
+                this._playBalladPick(ch, chord, tickInBar, barLength, vel, interval, holdFloor);
+        }
+    }
+
+    // Fast playing = base+30, slow = base−30 (same curve as Keys mode native).
+    _nextVelocity(t) {
+        const last = this._lastVelTime;
+        this._lastVelTime = t;
+        if (last === null) return this.baseVelocity;
+        const clamped = Math.min(Math.max(t - last, 0.03), 0.5);
+        const k = (clamped - 0.03) / (0.5 - 0.03);
+        return Math.max(28, Math.min(127, this.baseVelocity + 30 - Math.round(k * 60)));
+    }
+
+    // --- Durations ---
+
+    _holdFloor(holdTicks, tickInBar, barLength, interval) {
+        if (holdTicks <= 0) return 0;
+        let ticks = holdTicks + 1;
+        if (this.chordAdvance === 'everyBar' && this._chords.length > 1) {
+            ticks = Math.min(ticks, Math.max(1, barLength - tickInBar));
+        }
+        return interval * ticks * 1.05;
+    }
+
+    _clampDur(min, max, value) {
+        return Math.min(max, Math.max(min, value));
+    }
+
+    // --- Notes ---
+
+    _chordRoot(pc) {
+        const delta = (pc - this.mapper.rootPitchClass + 12) % 12;
+        return this.mapper.baseMidi - 12 + delta;
+    }
+
+    _chordNotes(chord) {
+        const root = this._chordRoot(chord.root);
+        if (this.powerChords || chord.quality === 'power') {
+            const bass = voiceChord(chord, root)[0];
+            return uniqueSorted([bass, root, root + 7, root + 12]);
+        }
+        return voiceChord(chord, root);
+    }
+
+    // Chord tones plus an octave-up copy of everything above the bass.
+    _pickingNotes(chord) {
+        const notes = this._chordNotes(chord);
+        if (notes.length < 2) return notes;
+        return uniqueSorted([...notes, ...notes.slice(1).map(n => n + 12)]);
+    }
+
+    // Perform the script once through in virtual time (no audio, no
+    // timers) and return note events { time, type, note, velocity } in
+    // seconds — for offline rendering. Overlapping hits on the same note
+    // keep the ref-counted release that live playback uses.
+    toEvents() {
+        const raw = [];
+        this.restart();
+        this._capture = raw;
+        try {
+            for (let i = 0; i < this._chars.length; i++) this.tick();
+        } finally {
+            this._capture = null;
+            this.restart();
+        }
+
+        raw.sort((a, b) => a.time - b.time || a.seq - b.seq);
+        const counts = new Map();
+        const events = [];
+        for (const { seq, ...e } of raw) {
+            const c = (counts.get(e.note) ?? 0) + (e.type === 'on' ? 1 : -1);
+            counts.set(e.note, c);
+            if (e.type === 'on' || c === 0) events.push(e);
+        }
+        return events;
+    }
+
+    _playTransient(notes, vel, seconds) {
+        const dur = Math.max(0.02, Math.min(seconds, 2.5));
+        if (this._capture) {
+            const t = this._virtualTime;
+            for (const note of notes) {
+                const seq = this._capture.length;
+                this._capture.push(
+                    { time: t, type: 'on', note, velocity: vel, seq },
+                    { time: t + dur, type: 'off', note, velocity: 0, seq: seq + 1 },
+                );
+            }
+            return;
+        }
+        const generation = this._generation;
+        for (const n of notes) {
+            this._refCount.set(n, (this._refCount.get(n) ?? 0) + 1);
+            this.audio.noteOn(n, vel);
+            setTimeout(() => {
+                if (generation !== this._generation) return;
+                const remaining = (this._refCount.get(n) ?? 1) - 1;
+                if (remaining <= 0) {
+                    this._refCount.delete(n);
+                    this.audio.noteOff(n);
+                } else {
+                    this._refCount.set(n, remaining);
+                }
+            }, dur * 1000);
+        }
+    }
+
+    _playBass(chord, vel, holdFloor = 0) {
+        const bass = this._pickingNotes(chord)[0];
+        if (bass === undefined) return;
+        this._playTransient([bass], vel, Math.max(0.45, holdFloor));
+    }
+
+    _playChordHit(chord, vel, includeBass, holdFloor = 0) {
+        const notes = this._chordNotes(chord);
+        if (!notes.length) return;
+        if (includeBass) this._playTransient([notes[0]], vel, Math.max(0.55, holdFloor));
+        const tones = includeBass ? notes.slice(1) : notes;
+        if (tones.length) this._playTransient(tones, vel, Math.max(0.30, holdFloor));
+    }
+
+    _playResolve(vel, holdFloor = 0) {
+        const tonic = this.mapper.baseMidi + 12;
+        if (tonic < 0 || tonic > 127) return;
+        this._playTransient([tonic], vel, Math.max(0.45, holdFloor));
+    }
+
+    // --- Styles ---
+
+    _playBalladPick(ch, chord, tickInBar, barLength, vel, interval, holdFloor) {
+        let pattern;
+        if (barLength === 12) {
+            pattern = ['bass', 'low', 'mid', 'high', 'mid', 'low'];
+        } else if (barLength === 16) {
+            pattern = ['bass', 'low', 'mid', 'high'];
+        } else {
+            pattern = ['bass', 'low', 'high', 'low'];
+        }
+        const step = pattern[tickInBar % pattern.length];
+
+        if (step === 'bass') {
+            const bass = this._chordNotes(chord)[0];
+            if (bass === undefined) return;
+            const note = isVowel(ch) && bass <= 120 ? bass + 7 : bass;
+            const dur = this._clampDur(0.30, 0.70, interval * 2.4);
+            this._playTransient([note], vel, Math.max(dur, holdFloor));
+            return;
+        }
+
+        const pick = this._pickFromPool(ch, chord, step);
+        if (!pick) return;
+        const note = this._voiceLed(pick.note, pick.pool);
+        const dur = this._clampDur(0.20, 0.70, interval * 2.2);
+        this._playTransient([note], vel, Math.max(dur, holdFloor));
+    }
+
+    _playRockStrum(ch, chord, tickInBar, vel, interval, holdFloor) {
+        if (isVowel(ch)) {
+            const note = this._pickNote(ch, chord);
+            if (note === null) return;
+            const dur = this._clampDur(0.10, 0.45, interval * 1.4);
+            this._playTransient([note], vel, Math.max(dur, holdFloor));
+            return;
+        }
+
+        const notes = this._chordNotes(chord);
+        if (!notes.length) return;
+        const count = Math.min(3, notes.length);
+        // Downstrokes on even ticks catch the low strings, upstrokes the high.
+        const strum = tickInBar % 2 === 0 ? notes.slice(0, count) : notes.slice(-count);
+        this._playTransient(strum, vel, Math.max(0.10, interval * 0.85, holdFloor));
+    }
+
+    _playPowerChug(chord, vel, interval, holdFloor) {
+        const notes = this._chordNotes(chord).slice(0, 3);
+        if (!notes.length) return;
+        this._playTransient(notes, vel, Math.max(0.06, interval * 0.65, holdFloor));
+    }
+
+    _playSynthPulse(ch, chord, tickInBar, barLength, vel, interval, holdFloor) {
+        const notes = this._pickingNotes(chord);
+        if (notes.length < 2) return;
+        const [bass, ...melodic] = notes;
+
+        const bassStride = Math.max(4, Math.floor(barLength / 4));
+        if (tickInBar % bassStride === 0) {
+            const dur = this._clampDur(0.10, 0.35, interval * 1.2);
+            this._playTransient([bass], vel, Math.max(dur, holdFloor));
+            return;
+        }
+
+        let note = melodic[(characterIndex(ch) + tickInBar) % melodic.length];
+        if (tickInBar % 2 === 1 && note <= 115) note += 12;
+        const dur = this._clampDur(0.10, 0.40, interval * 1.2);
+        this._playTransient([note], vel, Math.max(dur, holdFloor));
+    }
+
+    // --- Picking ---
+
+    _pickFromPool(ch, chord, pool) {
+        const notes = this._pickingNotes(chord);
+        if (notes.length < 2) {
+            return notes.length ? { note: notes[0], pool: [notes[0]] } : null;
+        }
+        const melodic = notes.slice(1);
+
+        let chosen;
+        if (pool === 'low') {
+            chosen = melodic.slice(0, Math.max(1, Math.floor(melodic.length / 2)));
+        } else if (pool === 'mid') {
+            const third = Math.max(1, Math.floor(melodic.length / 3));
+            chosen = melodic.slice(third, Math.min(melodic.length, third * 2));
+        } else {
+            chosen = melodic.slice(-Math.max(1, Math.floor(melodic.length / 2)));
+        }
+        if (!chosen.length) chosen = melodic;
+
+        return { note: chosen[characterIndex(ch) % chosen.length], pool: chosen };
+    }
+
+    // Letters live on the "upper strings"; vowels pick the higher half.
+    _pickNote(ch, chord) {
+        const notes = this._pickingNotes(chord);
+        if (notes.length < 2) return notes[0] ?? null;
+        const melodic = notes.slice(1);
+        const pool = isVowel(ch)
+            ? melodic.slice(-Math.max(1, Math.floor(melodic.length / 2)))
+            : melodic.slice(0, Math.max(1, melodic.length - Math.floor(melodic.length / 2)));
+        return pool[characterIndex(ch) % pool.length];
+    }
+
+    _voiceLed(candidate, pool) {
+        if (this._lastMelodyChord !== this._chartIndex || this._lastMelodyNote === null) {
+            this._lastMelodyChord = this._chartIndex;
+            this._lastMelodyNote = candidate;
+            return candidate;
+        }
+
+        const last = this._lastMelodyNote;
+        let best = candidate, bestD = Math.abs(candidate - last);
+        for (const n of pool) {
+            const d = Math.abs(n - last);
+            if (d < bestD) { best = n; bestD = d; }
+        }
+
+        // Keep voice leading gentle: don't fight large jumps.
+        const note = bestD > 7 ? candidate : best;
+        this._lastMelodyNote = note;
+        return note;
+    }
+}
@@ -0,0 +1,238 @@
+// voices.js — Voice allocation: polyphony limit, voice stealing, mono /
+// legato with portamento, and unison stacks.
+//
+// A VoiceAllocator owns the voices of one instrument chain (the live one
+// in AudioEngine, or a Part). It counts every voice still making sound —
+// release tails included — against the polyphony limit; a note over the
+// limit steals a voice, which fades out in a few milliseconds rather
+// than clicking off. Tails are stolen before held notes. Re-striking a
+// held note releases the old voice with its own tail.
+//
+// Pitch bend and the mod wheel reach every voice, held or releasing;
+// a single note can also be bent on its own (the touch pad's glide).
+//
+// Voices (Voice and SampleVoice in audio.js) provide start, release,
+// fade, kill, setDetune, setModulation, loudness(t) and endTime.
+
+export const VOICE_MODES = {
+    poly:   { name: 'Poly' },
+    mono:   { name: 'Mono' },           // one note, retriggered each time
+    legato: { name: 'Legato' },         // one note; overlapping notes glide without retriggering
+};
+
+export const STEAL_MODES = {
+    oldest:   { name: 'Oldest' },
+    quietest: { name: 'Quietest' },
+};
+
+export const MAX_UNISON = 7;
+
+// Seconds a wheel movement takes to settle, so it doesn't zipper.
+const WHEEL_SMOOTHING = 0.03;
+
+export function defaultVoicing() {
+    return {
+        polyphony: 24,                  // voices (a unison stack counts each)
+        steal: 'oldest',                // key of STEAL_MODES
+        mode: 'poly',                   // key of VOICE_MODES
+        glide: 0,                       // portamento in seconds (mono / legato)
+        unison: 1,                      // voices per note, 1–MAX_UNISON
+        detune: 12,                     // unison spread in cents, lowest to highest
+    };
+}
+
+export class VoiceAllocator {
+    // `makeVoice(midi, velocity, when)` returns an unstarted voice.
+    // `settings` (see defaultVoicing) is read on every note, so it can be
+    // shared and changed while playing.
+    constructor(ctx, makeVoice, settings) {
+        this.ctx = ctx;
+        this._makeVoice = makeVoice;
+        this.settings = settings;
+        this._held = new Map();         // note → velocity, in the order pressed
+        this._current = new Map();      // note → its sounding stack of entries
+        this._sounding = [];            // { voice, note, offset, shift, bend } until each voice ends
+        this._lastNote = null;          // for portamento
+        this._bend = 0;                 // pitch wheel, cents
+        this._modulation = 0;           // mod wheel vibrato, cents
+    }
+
+    // Notes down, in the order pressed.
+    get notes() { return this._held.keys(); }
+
+    // Notes with voices of their own still held (not in release).
+    get soundingNotes() { return this._current.keys(); }
+
+    // Voices still making sound, tails included.
+    get voiceCount() {
+        this._prune(this.ctx.currentTime);
+        return this._sounding.length;
+    }
+
+    has(midi) {
+        return this._held.has(midi);
+    }
+
+    noteOn(midi, velocity, when) {
+        const t = when ?? this.ctx.currentTime;
+        this._held.delete(midi);
+        this._held.set(midi, velocity);
+        if (this.settings.mode === 'poly') {
+            this._release(midi, t);
+            this._play(midi, velocity, t, false);
+            return;
+        }
+        // Mono / legato: the newest note takes over the single stack.
+        const [from] = this._current.keys();
+        if (this.settings.mode === 'legato' && from !== undefined) {
+            this._moveTo(midi, t);
+        } else {
+            for (const note of [...this._current.keys()]) this._release(note, t);
+            this._play(midi, velocity, t, true);
+        }
+    }
+
+    noteOff(midi, when) {
+        const t = when ?? this.ctx.currentTime;
+        this._held.delete(midi);
+        if (!this._current.has(midi)) return;
+        // Mono / legato fall back to the newest note still held.
+        const back = this.settings.mode === 'poly' ? undefined : [...this._held.keys()].at(-1);
+        if (back === undefined) {
+            this._release(midi, t);
+        } else if (this.settings.mode === 'legato') {
+            this._moveTo(back, t);
+        } else {
+            this._release(midi, t);
+            this._play(back, this._held.get(back), t, true);
+        }
+    }
+
+    // Let every voice fade with its release tail.
+    releaseAll(when) {
+        const t = when ?? this.ctx.currentTime;
+        this._held.clear();
+        for (const note of [...this._current.keys()]) this._release(note, t);
+    }
+
+    // Pitch wheel: every voice moves by `cents`.
+    setBend(cents, when) {
+        const t = when ?? this.ctx.currentTime;
+        this._bend = cents;
+        for (const e of this._sounding) this._tune(e, t, WHEEL_SMOOTHING);
+    }
+
+    // Mod wheel: vibrato of ± `cents` on every voice.
+    setModulation(cents, when) {
+        const t = when ?? this.ctx.currentTime;
+        this._modulation = cents;
+        for (const { voice } of this._sounding) voice.setModulation(cents, t);
+    }
+
+    // Bend one held note by `cents`, on top of the wheel.
+    bendNote(midi, cents, when) {
+        const t = when ?? this.ctx.currentTime;
+        for (const e of this._current.get(midi) ?? []) {
+            e.bend = cents;
+            this._tune(e, t, WHEEL_SMOOTHING);
+        }
+    }
+
+    // Silence everything at once.
+    kill() {
+        for (const { voice } of this._sounding) voice.kill();
+        this._sounding = [];
+        this._held.clear();
+        this._current.clear();
+        this._lastNote = null;
+    }
+
+    // Start a stack of `unison` voices for `midi`, stealing room for it.
+    // With `glide`, it slides in from the last note played.
+    _play(midi, velocity, t, glide) {
+        const { unison, detune } = this.settings;
+        const n = Math.max(1, Math.min(MAX_UNISON, Math.round(unison)));
+        this._makeRoom(n, t);
+        // Keep a stack about as loud as one voice.
+        const vel = velocity / Math.sqrt(n);
+        const from = glide && this.settings.glide > 0 ? this._lastNote : null;
+        const stack = [];
+        for (let i = 0; i < n; i++) {
+            const offset = n > 1 ? (i / (n - 1) - 0.5) * detune : 0;
+            const voice = this._makeVoice(midi, vel, t);
+            const entry = { voice, note: midi, offset, shift: 0, bend: 0 };
+            if (from !== null && from !== midi) {
+                entry.shift = (from - midi) * 100;
+                this._tune(entry, t);
+                entry.shift = 0;
+                this._tune(entry, t, this.settings.glide);
+            } else if (offset || this._bend) {
+                this._tune(entry, t);
+            }
+            voice.start();
+            if (this._modulation) voice.setModulation(this._modulation, t);
+            stack.push(entry);
+            this._sounding.push(entry);
+        }
+        this._current.set(midi, stack);
+        this._lastNote = midi;
+    }
+
+    // Legato: bend the sounding stack to `midi` without retriggering.
+    _moveTo(midi, t) {
+        const [[from, stack]] = this._current;
+        this._current.delete(from);
+        for (const e of stack) {
+            e.shift = (midi - e.note) * 100;
+            e.bend = 0;
+            this._tune(e, t, this.settings.glide);
+        }
+        this._current.set(midi, stack);
+        this._lastNote = midi;
+    }
+
+    // Retune an entry's voice: legato shift, unison offset, its own bend
+    // and the wheel.
+    _tune(e, t, glide = 0) {
+        e.voice.setDetune(e.shift + e.offset + e.bend + this._bend, t, glide);
+    }
+
+    _release(midi, t) {
+        const stack = this._current.get(midi);
+        if (!stack) return;
+        for (const { voice } of stack) voice.release(t);
+        this._current.delete(midi);
+    }
+
+    // Steal voices until `n` more fit under the polyphony limit.
+    _makeRoom(n, t) {
+        this._prune(t);
+        const limit = Math.max(n, this.settings.polyphony);
+        while (this._sounding.length + n > limit) {
+            const victim = this._victim(t);
+            victim.voice.fade(t);
+            this._sounding.splice(this._sounding.indexOf(victim), 1);
+            const stack = this._current.get(victim.note);
+            if (stack?.includes(victim)) {
+                stack.splice(stack.indexOf(victim), 1);
+                if (!stack.length) this._current.delete(victim.note);
+            }
+        }
+    }
+
+    // Release tails go first; among them (or else among held voices) the
+    // oldest or the quietest, as set.
+    _victim(t) {
+        const tails = this._sounding.filter(e => e.voice.endTime !== Infinity);
+        const pool = tails.length ? tails : this._sounding;
+        if (this.settings.steal === 'quietest') {
+            return pool.reduce((q, e) => (e.voice.loudness(t) < q.voice.loudness(t) ? e : q));
+        }
+        return pool[0];                 // _sounding is in start order
+    }
+
+    // Forget voices whose tails have ended.
+    _prune(t) {
+        this._sounding = this._sounding.filter(e => e.voice.endTime > t);
+    }
+}
@@ -0,0 +1,55 @@
+// wav.js — PCM WAV encoding for rendered audio.
+//
+// Accepts anything shaped like an AudioBuffer: `numberOfChannels`,
+// `sampleRate`, `length` and `getChannelData(ch)`.
+
+export const WAV_BIT_DEPTHS = [16, 24];
+
+// Encode as interleaved little-endian PCM. Returns an ArrayBuffer.
+export function encodeWav(buffer, bitDepth = 16) {
+    if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+        throw new RangeError(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+    const channels = buffer.numberOfChannels;
+    const frames = buffer.length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channels * bytesPerSample;
+    const dataSize = frames * blockAlign;
+
+    const out = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(out);
+    const writeStr = (pos, s) => { for (let i = 0; i < s.length; i++) view.setUint8(pos + i, s.charCodeAt(i)); };
+
+    writeStr(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeStr(8, 'WAVE');
+    writeStr(12, 'fmt ');
+    view.setUint32(16, 16, true);                       // fmt chunk size
+    view.setUint16(20, 1, true);                        // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeStr(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const data = Array.from({ length: channels }, (_, ch) => buffer.getChannelData(ch));
+    const max = bitDepth === 16 ? 0x7FFF : 0x7FFFFF;
+    let pos = 44;
+    for (let i = 0; i < frames; i++) {
+        for (let ch = 0; ch < channels; ch++) {
+            const x = Math.max(-1, Math.min(1, data[ch][i]));
+            const v = Math.round(x * max);
+            if (bitDepth === 16) {
+                view.setInt16(pos, v, true);
+            } else {
+                view.setUint8(pos, v & 0xFF);
+                view.setUint8(pos + 1, (v >> 8) & 0xFF);
+                view.setUint8(pos + 2, (v >> 16) & 0xFF);
+            }
+            pos += bytesPerSample;
+        }
+    }
+    return out;
+}